@@ -303,6 +303,11 @@ defmodule Mix.Tasks.Compile.PhoenixKitJsSources do
   #
   # This file loads after `phoenix_kit.js`, which is fine: the consent code
   # reads both on `DOMContentLoaded`, by which point both scripts have run.
+  #
+  # Both facts also go through `PhoenixKit.configure`, the bundle's runtime
+  # config. The `PHOENIX_KIT_*` globals stay for bundles vendored before it
+  # existed; the stub `configure` queues the call in case a host loads this
+  # file first.
   defp globals_preamble do
     prefix = PhoenixKit.Config.get_url_prefix()
     consent? = Code.ensure_loaded?(PhoenixKit.Modules.Legal)
@@ -311,6 +316,8 @@ defmodule Mix.Tasks.Compile.PhoenixKitJsSources do
     /* Install facts for the vendored bundle. */
     window.PHOENIX_KIT_PREFIX=#{inspect(prefix)};
     window.PHOENIX_KIT_CONSENT_AVAILABLE=#{consent?};
+    window.PhoenixKit=window.PhoenixKit||{};window.PhoenixKit.configure=window.PhoenixKit.configure||function(c){(window.PhoenixKit.__configQueue=window.PhoenixKit.__configQueue||[]).push(c)};
+    window.PhoenixKit.configure({prefix:#{inspect(prefix)},consent:{available:#{consent?}}});
     """
   end
 
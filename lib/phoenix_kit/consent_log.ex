@@ -0,0 +1,171 @@
+defmodule PhoenixKit.ConsentLog do
+  @moduledoc """
+  Server-side receipts for the cookie consent widget.
+
+  The widget keeps the visitor's choice in the browser; that proves nothing
+  when a regulator asks when and to what a visitor agreed. Each time the
+  choice changes (accept all, reject all, saved preferences, revoke, a
+  category allowed from an embed's placeholder) the bundle posts a receipt to
+  `POST /api/consent-receipt`, and it lands here as one
+  `PhoenixKit.ConsentLog.Entry` per category.
+
+  Receipts are anonymous: the browser generates a consent id once and sends it
+  with every receipt, so the trail for one browser can be pulled without
+  knowing who the visitor is. The IP address and a hash of the user agent are
+  stored with it, and the user when one is signed in. Per-vendor choices ride
+  along in each entry's metadata under `"vendors"`.
+
+  A browser privacy signal (Global Privacy Control, Do Not Track) the widget
+  honored is kept as `"privacy_signal"` (`%{"gpc" => true, "dnt" => false}`).
+  When the widget applies a signal to a choice stored before it, the receipt's
+  action is `"privacy_signal"`.
+
+  The bundle retries failed posts, so the same receipt can arrive twice; a
+  repeated `receipt_id` is acknowledged and not stored again.
+
+  ## Examples
+
+      PhoenixKit.ConsentLog.record_receipt(
+        %{
+          "receipt_id" => "7c0e…",
+          "consent_id" => "2f4a…",
+          "action" => "save_preferences",
+          "categories" => %{"necessary" => true, "analytics" => false},
+          "vendors" => %{"plausible" => false},
+          "policy_version" => "1.0",
+          "frameworks" => ["gdpr"],
+          "timestamp" => "2026-10-19T09:00:00.000Z"
+        },
+        %{ip_address: "192.168.1.1", user_agent_hash: "a1b2…"}
+      )
+
+      # Everything one browser agreed to, newest first
+      PhoenixKit.ConsentLog.list_for_consent_id("2f4a…")
+  """
+
+  import Ecto.Query, warn: false
+  alias PhoenixKit.ConsentLog.Entry
+  alias PhoenixKit.RepoHelper, as: Repo
+
+  @actions ~w(accept_all reject_all save_preferences revoke privacy_signal allow_category)
+  @max_categories 32
+  @max_vendors 200
+
+  @doc """
+  Records a receipt posted by the consent widget.
+
+  `receipt` is the decoded JSON body (string keys). `context` carries what
+  the server knows about the request: `:ip_address`, `:user_agent_hash` and
+  `:user_uuid`, all optional.
+
+  Returns `{:ok, entries}`, `{:ok, :duplicate}` when the receipt was already
+  stored, `{:error, :invalid_receipt}` for a body that isn't a receipt, or
+  `{:error, changeset}` when an entry fails validation.
+  """
+  def record_receipt(receipt, context \\ %{})
+
+  def record_receipt(
+        %{"consent_id" => consent_id, "categories" => %{} = categories, "action" => action} =
+          receipt,
+        context
+      )
+      when is_binary(consent_id) and action in @actions and
+             map_size(categories) > 0 and map_size(categories) <= @max_categories do
+    if Enum.all?(categories, fn {name, given} -> is_binary(name) and is_boolean(given) end) do
+      receipt_id = string_or_nil(receipt["receipt_id"])
+
+      if receipt_id && duplicate?(consent_id, receipt_id) do
+        {:ok, :duplicate}
+      else
+        insert_entries(receipt, categories, receipt_id, context)
+      end
+    else
+      {:error, :invalid_receipt}
+    end
+  end
+
+  def record_receipt(_receipt, _context), do: {:error, :invalid_receipt}
+
+  @doc """
+  Lists the entries recorded for one consent id, newest first.
+
+  ## Options
+    * `:limit` - Maximum number of entries to return (default: 100)
+  """
+  def list_for_consent_id(consent_id, opts \\ []) when is_binary(consent_id) do
+    limit = Keyword.get(opts, :limit, 100)
+
+    from(e in Entry,
+      where: e.session_id == ^consent_id,
+      order_by: [desc: e.inserted_at, asc: e.consent_type],
+      limit: ^limit
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Returns the receipt actions the widget sends.
+  """
+  def actions, do: @actions
+
+  defp insert_entries(receipt, categories, receipt_id, context) do
+    metadata = %{
+      "receipt_id" => receipt_id,
+      "action" => receipt["action"],
+      "frameworks" => Enum.filter(List.wrap(receipt["frameworks"]), &is_binary/1),
+      "vendors" => vendor_choices(receipt["vendors"]),
+      "privacy_signal" => privacy_signal(receipt["privacy_signal"]),
+      "consent_mode" => string_or_nil(receipt["consent_mode"]),
+      "consented_at" => string_or_nil(receipt["timestamp"])
+    }
+
+    base = %{
+      session_id: receipt["consent_id"],
+      consent_version: string_or_nil(receipt["policy_version"]),
+      ip_address: context[:ip_address],
+      user_agent_hash: context[:user_agent_hash],
+      user_uuid: context[:user_uuid],
+      metadata: metadata
+    }
+
+    Repo.transaction(fn ->
+      categories
+      |> Enum.sort()
+      |> Enum.map(fn {name, given} ->
+        attrs = Map.merge(base, %{consent_type: name, consent_given: given})
+
+        case %Entry{} |> Entry.changeset(attrs) |> Repo.insert() do
+          {:ok, entry} -> entry
+          {:error, changeset} -> Repo.rollback(changeset)
+        end
+      end)
+    end)
+  end
+
+  defp duplicate?(consent_id, receipt_id) do
+    from(e in Entry,
+      where:
+        e.session_id == ^consent_id and
+          fragment("?->>'receipt_id' = ?", e.metadata, ^receipt_id)
+    )
+    |> Repo.exists?()
+  end
+
+  defp vendor_choices(%{} = vendors) do
+    vendors
+    |> Enum.filter(fn {id, given} -> is_binary(id) and is_boolean(given) end)
+    |> Enum.take(@max_vendors)
+    |> Map.new()
+  end
+
+  defp vendor_choices(_vendors), do: %{}
+
+  defp privacy_signal(%{} = signal) do
+    %{"gpc" => signal["gpc"] == true, "dnt" => signal["dnt"] == true}
+  end
+
+  defp privacy_signal(_signal), do: nil
+
+  defp string_or_nil(value) when is_binary(value) and value != "", do: value
+  defp string_or_nil(_value), do: nil
+end
@@ -0,0 +1,87 @@
+defmodule PhoenixKit.ConsentLog.Entry do
+  @moduledoc """
+  Schema for consent log entries — one row per cookie category per receipt.
+
+  A receipt from the consent widget (accept all, reject all, saved
+  preferences, revoke) becomes one entry for each category it covers, so
+  "what had this visitor agreed to on this date" is a plain query.
+
+  ## Fields
+    * `session_id` - The anonymous consent id the browser generated and keeps
+      in storage; every receipt from the same browser carries it
+    * `consent_type` - The category (e.g. "analytics")
+    * `consent_given` - Whether the category was granted
+    * `consent_version` - The policy version the visitor saw
+    * `ip_address` - The IP address the receipt came from
+    * `user_agent_hash` - SHA256 of the user agent string
+    * `user_uuid` - The signed-in user, when there was one
+    * `metadata` - The rest of the receipt: `receipt_id`, `action`,
+      `frameworks`, `consent_mode`, per-vendor `vendors`, any honored
+      `privacy_signal` and the browser's `consented_at` (JSONB)
+  """
+
+  use Ecto.Schema
+  use PhoenixKit.SchemaPrefix
+  import Ecto.Changeset
+
+  @type t :: %__MODULE__{
+          uuid: UUIDv7.t() | nil,
+          session_id: String.t(),
+          consent_type: String.t(),
+          consent_given: boolean(),
+          consent_version: String.t() | nil,
+          ip_address: String.t() | nil,
+          user_agent_hash: String.t() | nil,
+          user_uuid: UUIDv7.t() | nil,
+          metadata: map() | nil,
+          inserted_at: DateTime.t() | nil,
+          updated_at: DateTime.t() | nil
+        }
+
+  @primary_key {:uuid, UUIDv7, autogenerate: true}
+
+  schema "phoenix_kit_consent_logs" do
+    field :session_id, :string
+    field :consent_type, :string
+    field :consent_given, :boolean, default: false
+    field :consent_version, :string
+    field :ip_address, :string
+    field :user_agent_hash, :string
+    field :user_uuid, UUIDv7
+    field :metadata, :map, default: %{}
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc """
+  Creates a changeset for a consent log entry.
+
+  ## Required Fields
+    * `:session_id` - Anonymous consent id (letters, digits and dashes)
+    * `:consent_type` - Category name
+    * `:consent_given` - Whether it was granted
+
+  Lengths follow the table's columns.
+  """
+  def changeset(entry, attrs) do
+    entry
+    |> cast(attrs, [
+      :session_id,
+      :consent_type,
+      :consent_given,
+      :consent_version,
+      :ip_address,
+      :user_agent_hash,
+      :user_uuid,
+      :metadata
+    ])
+    |> validate_required([:session_id, :consent_type, :consent_given])
+    |> validate_length(:session_id, max: 64)
+    |> validate_format(:session_id, ~r/\A[A-Za-z0-9-]+\z/)
+    |> validate_length(:consent_type, max: 30)
+    |> validate_format(:consent_type, ~r/\A[a-z0-9_]+\z/)
+    |> validate_length(:consent_version, max: 20)
+    |> validate_length(:ip_address, max: 45)
+    |> validate_length(:user_agent_hash, max: 64)
+  end
+end
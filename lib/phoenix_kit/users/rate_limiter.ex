@@ -110,7 +110,12 @@ defmodule PhoenixKit.Users.RateLimiter do
     # resource; this caps how many distinct invented uuids one client can
     # spam into the activity feed / admin queue.
     access_request_limit: 10,
-    access_request_window_ms: 600_000
+    access_request_window_ms: 600_000,
+    # Consent receipts: 30 per minute per IP. Anonymous by nature, so the IP
+    # is the only key; a real visitor sends one per choice, plus the odd
+    # retry, so this only bounds a client filling the consent log.
+    consent_receipt_limit: 30,
+    consent_receipt_window_ms: 60_000
   ]
 
   @doc """
@@ -483,6 +488,34 @@ defmodule PhoenixKit.Users.RateLimiter do
 
   def check_access_request_rate_limit(_), do: :ok
 
+  @doc """
+  Checks if consent receipts posted from an IP address are within limit.
+
+  IP-only: receipts come from anonymous visitors, so there is no account to
+  key on.
+
+  ## Examples
+
+      iex> PhoenixKit.Users.RateLimiter.check_consent_receipt_rate_limit("192.168.1.1")
+      :ok
+  """
+  def check_consent_receipt_rate_limit(ip_address) when is_binary(ip_address) do
+    config = get_config()
+
+    key = "consent:receipt:ip:#{ip_address}"
+    limit = Keyword.get(config, :consent_receipt_limit)
+    window = Keyword.get(config, :consent_receipt_window_ms)
+
+    case check_rate_limit(key, window, limit) do
+      :ok ->
+        :ok
+
+      {:error, :rate_limit_exceeded} = error ->
+        log_rate_limit_violation("consent_receipt", "ip:#{ip_address}", limit, window)
+        error
+    end
+  end
+
   @doc """
   Resets rate limit for a specific action and identifier.
 
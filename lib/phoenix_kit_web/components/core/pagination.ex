@@ -28,6 +28,8 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
   - `total_pages` - Total number of pages (required)
   - `build_url` - Function that takes page number and returns URL (required)
   - `class` - Additional CSS classes
+  - `sortable_target` - id of a `<.sortable_tbody>` whose rows can be
+    dragged onto the page links to move them to that page
 
   ## Examples
 
@@ -41,12 +43,21 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
   attr :total_pages, :integer, required: true
   attr :build_url, :any, required: true
   attr :class, :string, default: ""
+  attr :sortable_target, :string, default: nil
 
   def pagination_controls(assigns) do
     ~H"""
-    <div :if={@total_pages > 1} class={["join", @class]}>
+    <div
+      :if={@total_pages > 1}
+      class={["join", @class]}
+      data-sortable-pages={@sortable_target}
+    >
       <%= if @page > 1 do %>
-        <.link patch={@build_url.(@page - 1)} class="join-item btn btn-sm">
+        <.link
+          patch={@build_url.(@page - 1)}
+          class="join-item btn btn-sm"
+          data-sortable-page={@sortable_target && @page - 1}
+        >
           « Prev
         </.link>
       <% end %>
@@ -55,13 +66,19 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
         <.link
           patch={@build_url.(page_num)}
           class={["join-item btn btn-sm", page_num == @page && "btn-active"]}
+          aria-current={page_num == @page && "page"}
+          data-sortable-page={@sortable_target && page_num}
         >
           {page_num}
         </.link>
       <% end %>
 
       <%= if @page < @total_pages do %>
-        <.link patch={@build_url.(@page + 1)} class="join-item btn btn-sm">
+        <.link
+          patch={@build_url.(@page + 1)}
+          class="join-item btn btn-sm"
+          data-sortable-page={@sortable_target && @page + 1}
+        >
           Next »
         </.link>
       <% end %>
@@ -121,6 +138,9 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
   - `total_pages` - Total number of pages available (required)
   - `base_path` - Base URL path without query params (required)
   - `params` - Map of query parameters to preserve (default: %{})
+  - `sortable_target` - id of a `<.sortable_tbody>` whose rows can be
+    dragged onto the page links; the hook pushes `move_to_page` with
+    `%{"page" => n, "moved_id" => id, "moved_ids" => ids}`
 
   ## Examples
 
@@ -142,17 +162,19 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
   attr :total_pages, :integer, required: true
   attr :base_path, :string, required: true
   attr :params, :map, default: %{}
+  attr :sortable_target, :string, default: nil
 
   def pagination(assigns) do
     ~H"""
     <%= if @total_pages > 1 do %>
       <div class="flex justify-center p-4 border-t border-base-300">
-        <div class="join">
+        <div class="join" data-sortable-pages={@sortable_target}>
           <%!-- Previous button --%>
           <%= if @current_page > 1 do %>
             <.link
               patch={build_page_url(@base_path, @params, @current_page - 1)}
               class="join-item btn btn-sm"
+              data-sortable-page={@sortable_target && @current_page - 1}
             >
               « Prev
             </.link>
@@ -165,6 +187,8 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
                 "join-item btn btn-sm",
                 page_num == @current_page && "btn-active"
               ]}
+              aria-current={page_num == @current_page && "page"}
+              data-sortable-page={@sortable_target && page_num}
             >
               {page_num}
             </.link>
@@ -174,6 +198,7 @@ defmodule PhoenixKitWeb.Components.Core.Pagination do
             <.link
               patch={build_page_url(@base_path, @params, @current_page + 1)}
               class="join-item btn btn-sm"
+              data-sortable-page={@sortable_target && @current_page + 1}
             >
               Next »
             </.link>
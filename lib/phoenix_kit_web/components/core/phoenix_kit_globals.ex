@@ -8,6 +8,17 @@ defmodule PhoenixKitWeb.Components.Core.PhoenixKitGlobals do
   ## Globals Set
 
   - `window.PHOENIX_KIT_PREFIX` - URL prefix for PhoenixKit routes
+  - `PhoenixKit.configure({prefix, locale, messages})` - the same prefix, the
+    current Gettext locale and the hooks' UI strings translated into it,
+    through the JS bundle's runtime configuration. This script usually runs
+    before `phoenix_kit.js`, so it installs a stub `configure` that queues the
+    call; the bundle applies the queue when it loads. Hosts tune the rest of
+    the bundle with further `PhoenixKit.configure/1` calls.
+  - `storage.namespace` - an opaque per-user key (a truncated hash of the
+    user's UUID, never the UUID itself) that `PhoenixKit.storage` prefixes
+    per-user keys with; omitted when nobody is signed in. When a page names
+    a different user than the previous one, the bundle clears the previous
+    user's stored state; a page without a namespace clears nothing.
 
   ## Transport Cache Clearing
 
@@ -23,27 +34,57 @@ defmodule PhoenixKitWeb.Components.Core.PhoenixKitGlobals do
 
   ## Usage
 
-      <PhoenixKitWeb.Components.Core.PhoenixKitGlobals.phoenix_kit_globals />
+      <PhoenixKitWeb.Components.Core.PhoenixKitGlobals.phoenix_kit_globals
+        scope={assigns[:phoenix_kit_current_scope]}
+      />
   """
   use Phoenix.Component
+  use Gettext, backend: PhoenixKitWeb.Gettext
 
+  alias PhoenixKit.Users.Auth.Scope
   alias PhoenixKit.Utils.Routes
 
+  # Gettext picks a plural form by count, the browser's Intl.PluralRules by
+  # category. Each category the bundle may ask for is resolved here through
+  # a count that lands in it: `few`/`many` only matter to languages like
+  # Polish, whose Gettext forms for 2 and 5 are exactly those. `other` takes
+  # 5, Gettext's general plural in every shipped language (2 is `few` in
+  # Polish and Russian). Those two keep CLDR `other` for fractions, which no
+  # integer count reaches; the bundle only counts whole things, so they
+  # never need it.
+  @plural_samples [one: 1, few: 2, many: 5, other: 5]
+
   @doc """
   Renders script tags that set PhoenixKit global variables and clear
   any cached transport fallback preferences.
   """
+  attr :scope, :any, default: nil, doc: "the current `PhoenixKit.Users.Auth.Scope`, if any"
   attr :rest, :global
 
   def phoenix_kit_globals(assigns) do
     prefix = Routes.url_prefix()
+    locale = Gettext.get_locale(PhoenixKitWeb.Gettext)
+
+    config =
+      %{prefix: prefix, locale: locale, messages: %{locale => js_messages()}}
+      |> put_storage_namespace(Scope.user_uuid(assigns.scope))
 
-    assigns = assign(assigns, :prefix, prefix)
+    assigns =
+      assigns
+      |> assign(:prefix, prefix)
+      |> assign(
+        :config_json,
+        # :html_safe escapes < and > so no translation can close this
+        # <script> tag.
+        Jason.encode!(config, escape: :html_safe)
+      )
 
     ~H"""
     <script>
       window.PHOENIX_KIT_PREFIX = "<%= @prefix %>";
-      try{["localStorage","sessionStorage"].forEach(function(s){var t=window[s];Object.keys(t).filter(function(k){return k.indexOf("phx")!==-1&&k.indexOf("phx:")!==0}).forEach(function(k){t.removeItem(k)})})}catch(e){}
+      window.PhoenixKit=window.PhoenixKit||{};window.PhoenixKit.configure=window.PhoenixKit.configure||function(c){(window.PhoenixKit.__configQueue=window.PhoenixKit.__configQueue||[]).push(c)};
+      window.PhoenixKit.configure(<%= Phoenix.HTML.raw(@config_json) %>);
+      try{["localStorage","sessionStorage"].forEach(function(s){var t=window[s];Object.keys(t).filter(function(k){return k.indexOf("phx")!==-1&&k.indexOf("phx:")!==0&&k.indexOf("pk:")!==0}).forEach(function(k){t.removeItem(k)})})}catch(e){}
       // Suppress topbar on initial WebSocket connect — the dead render already shows
       // all content, so the connect-phase topbar is just visual noise. LiveView fires
       // page-loading-start with kind:"initial" for the connect and kind:"redirect"/"patch"
@@ -54,4 +95,90 @@ defmodule PhoenixKitWeb.Components.Core.PhoenixKitGlobals do
     </script>
     """
   end
+
+  defp put_storage_namespace(config, nil), do: config
+
+  defp put_storage_namespace(config, user_uuid) do
+    Map.put(config, :storage, %{namespace: storage_namespace(user_uuid)})
+  end
+
+  @doc """
+  The `PhoenixKit.storage` namespace for a user: an opaque key derived from
+  the UUID. Storage keys are readable by any script on the origin; the hash
+  keeps them from doubling as a user identifier.
+  """
+  @spec storage_namespace(term()) :: String.t()
+  def storage_namespace(user_uuid) do
+    :crypto.hash(:sha256, "phoenix_kit:storage:" <> to_string(user_uuid))
+    |> Base.url_encode64(padding: false)
+    |> binary_part(0, 16)
+  end
+
+  # The phoenix_kit.js message catalog (keys as in its DEFAULT_MESSAGES) in
+  # the current locale. `{name}` placeholders are the browser's to fill, not
+  # Gettext's, which only interpolates `%{name}`.
+  defp js_messages do
+    %{
+      "time_ago.just_now" => gettext("just now"),
+      "time_ago.seconds" => plural(fn n -> ngettext("{count}s ago", "{count}s ago", n) end),
+      "time_ago.minutes" => plural(fn n -> ngettext("{count}m ago", "{count}m ago", n) end),
+      "time_ago.hours" => plural(fn n -> ngettext("{count}h ago", "{count}h ago", n) end),
+      "time_ago.days" => plural(fn n -> ngettext("{count}d ago", "{count}d ago", n) end),
+      "duration.hours" => gettext("{count}h"),
+      "duration.minutes" => gettext("{count}m"),
+      "duration.seconds" => gettext("{count}s"),
+      "bytes.b" => gettext("{size} B"),
+      "bytes.kb" => gettext("{size} KB"),
+      "bytes.mb" => gettext("{size} MB"),
+      "bytes.gb" => gettext("{size} GB"),
+      "bytes.tb" => gettext("{size} TB"),
+      "upload.speed" => gettext("{size}/s"),
+      "upload.processing" => gettext("Processing on server…"),
+      "upload.left" => gettext("left"),
+      "markdown.link_prompt" => gettext("Enter URL:"),
+      "markdown.link_text" => gettext("link text"),
+      "etcher.comments" =>
+        plural(fn n -> ngettext("{count} comment", "{count} comments", n) end),
+      "email_charts.delivered" => gettext("Delivered"),
+      "email_charts.bounced" => gettext("Bounced"),
+      "email_charts.opens" => gettext("Opens"),
+      "email_charts.clicks" => gettext("Clicks"),
+      "email_charts.bounces" => gettext("Bounces"),
+      "email_charts.complaints" => gettext("Complaints"),
+      "email_charts.unavailable" =>
+        gettext(
+          "Charts unavailable: Chart.js could not be loaded. Self-host it via {config} or provide window.Chart"
+        ),
+      "sortable.instructions" =>
+        gettext(
+          "Press Space or Enter to pick up. Use the arrow keys to move, Space to drop, Escape to cancel."
+        ),
+      "sortable.grabbed" => gettext("Picked up {item}. Position {position} of {total}."),
+      "sortable.moved" => gettext("{item} moved to position {position} of {total}."),
+      "sortable.moved_group" =>
+        gettext("{item} moved to {group}, position {position} of {total}."),
+      "sortable.dropped" => gettext("{item} dropped at position {position} of {total}."),
+      "sortable.cancelled" => gettext("Reorder cancelled. {item} returned to position {position}."),
+      "sortable.items" => plural(fn n -> ngettext("{count} item", "{count} items", n) end),
+      "sortable.level" => gettext("{item}, level {level}."),
+      "media_zoom.toolbar" => gettext("Zoom"),
+      "media_zoom.zoom_in" => gettext("Zoom in (+)"),
+      "media_zoom.zoom_out" => gettext("Zoom out (−)"),
+      "media_zoom.fit" => gettext("Fit to view (0)"),
+      "media_zoom.actual_size" => gettext("Actual size (100%)"),
+      "media_zoom.rotate" => gettext("Rotate 90°"),
+      "media_compare.divider" => gettext("Comparison divider"),
+      "media_compare.side_by_side" => gettext("Side by side"),
+      "consent.embed_blocked" =>
+        gettext("This content is blocked until you allow {category} cookies."),
+      "consent.embed_blocked_vendor" =>
+        gettext("This {vendor} content is blocked until you allow {category} cookies."),
+      "consent.embed_load_once" => gettext("Load this once"),
+      "consent.embed_always_allow" => gettext("Always allow {category}")
+    }
+  end
+
+  defp plural(translate) do
+    Map.new(@plural_samples, fn {category, count} -> {category, translate.(count)} end)
+  end
 end
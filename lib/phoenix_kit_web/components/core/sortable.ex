@@ -23,6 +23,19 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
   for the handle) match the conventions used by `<.drag_handle_cell>`
   and across every other DnD-enabled list in the workspace.
 
+  Dragging runs on the hook's built-in Pointer Events engine: no
+  download, rows keep their column widths while dragged, and on touch a
+  row is picked up by a long press so a swipe still scrolls. Hosts that
+  prefer SortableJS set `PhoenixKit.configure({sortable: {engine:
+  "sortablejs"}})`, or `engine="sortablejs"` on one tbody; it is then
+  loaded on first use like any other vendored library.
+
+  Rows are reorderable from the keyboard too: the hook makes each row a
+  tab stop (Space/Enter picks it up, arrows move, Space drops, Escape
+  cancels) and sends the same payload as a drag, so no extra wiring is
+  needed. Set `data-sortable-label` on a row to control how it is
+  announced; otherwise its text is read.
+
   ## Example
 
       <.table_default id="projects-list" size="sm">
@@ -47,12 +60,71 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
         </.sortable_tbody>
       </.table_default>
 
-  The matching LV handler reads `%{"ordered_ids" => uuids, "moved_id" => uuid}`:
+  The matching LV handler reads `%{"ordered_ids" => uuids, "moved_id" => uuid}`.
+  `"moved_ids"` lists every row that moved: dragging a row whose bulk-select
+  checkbox is checked carries all checked rows of the table, and they land
+  together in `ordered_ids`:
 
       def handle_event("reorder_projects", %{"ordered_ids" => ids} = params, socket)
           when is_list(ids) do
         ...
       end
+
+  Pushing `sortable:flash` with `%{uuid: moved_id, status: "error"}` when the
+  write fails makes the hook put the rows back in their previous order; so
+  does a handler that never replies (data-sortable-ack-timeout, default 10s).
+
+  ## Trees
+
+  With `nested`, the rows are a walked tree (see `<.tree_name_cell>`) and
+  each `<.sortable_row>` passes its `depth`. A row moves with the rows
+  under it; dragging it sideways (one level per `indent` px) or pressing
+  Tab / Shift+Tab while it is dragged or held from the keyboard nests or
+  un-nests it, never deeper than `max_depth`. The payload adds
+  `"parent_id"` (nil at the root) and `"position"` among the new siblings:
+
+      def handle_event("reorder_nodes", %{"moved_id" => id, "parent_id" => parent_id,
+                                          "position" => position}, socket) do
+        ...
+      end
+
+  Rows of collapsed nodes aren't rendered, so they aren't in
+  `ordered_ids`; `parent_id`/`position` are what place the moved row.
+
+  ## Large lists
+
+  `ordered_ids` lists every row of the table, and rewriting every
+  position on each drop gets expensive past a few hundred rows. With
+  `payload="delta"` the hook sends the moved rows' new neighbours instead
+  — `"before_id"` and `"after_id"`, nil at either end of the list. Give
+  each `<.sortable_row>` its stored `rank` (a float position column) and
+  the payload also carries the `"rank"` that lands the moved row between
+  them, so the handler is a single-row update:
+
+      def handle_event("reorder_projects", %{"moved_id" => id, "rank" => rank}, socket) do
+        Projects.update_position!(id, rank)
+        ...
+      end
+
+  A multi-row move adds `"ranks"`, a map of id to rank. Ranks halve the
+  gap between neighbours, so renumber the list when two of them get
+  within float precision of each other.
+
+  ## Paginated tables
+
+  Dragging near the edge of the table's scroll container, or of the
+  window, scrolls it; `scroll_speed` sets how fast (px per frame). Pass
+  the tbody's id as `sortable_target` to `<.pagination>` or
+  `<.pagination_controls>` and its page links accept drops: the row goes
+  back in place and the hook pushes `"move_to_page"` (or `page_event`)
+  with `%{"page" => n, "moved_id" => id, "moved_ids" => ids}`:
+
+      <.pagination current_page={@page} total_pages={@total_pages}
+        base_path={@path} sortable_target="projects-list-body" />
+
+      def handle_event("move_to_page", %{"page" => page, "moved_ids" => ids}, socket) do
+        ...
+      end
   """
   use Phoenix.Component
 
@@ -69,6 +141,29 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
   attr :enabled, :boolean, default: true
   attr :event, :string, required: true, doc: "LV event name pushed when the user drops a row."
 
+  attr :nested, :boolean,
+    default: false,
+    doc: "Rows form a tree: drops can nest, and send `parent_id` and `position`."
+
+  attr :max_depth, :integer, default: nil, doc: "Deepest depth a row may land at (root is 0)."
+  attr :indent, :integer, default: 24, doc: "Horizontal drag, in px, per depth level."
+
+  attr :payload, :string,
+    default: "full",
+    values: ["full", "delta"],
+    doc: "`\"delta\"` sends the moved rows' neighbours (and rank) instead of `ordered_ids`."
+
+  attr :engine, :string,
+    default: nil,
+    values: [nil, "native", "sortablejs"],
+    doc: "Drag engine for this tbody; nil follows the `sortable.engine` JS config."
+
+  attr :scroll_speed, :integer, default: nil, doc: "Edge auto-scroll speed in px per frame (10)."
+
+  attr :page_event, :string,
+    default: nil,
+    doc: "Event pushed for a drop on a page link (`\"move_to_page\"`)."
+
   attr :rest, :global
 
   slot :inner_block, required: true
@@ -82,6 +177,13 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
       data-sortable-event={if @enabled, do: @event}
       data-sortable-items={if @enabled, do: ".sortable-item"}
       data-sortable-handle={if @enabled, do: ".pk-drag-handle"}
+      data-sortable-nested={if @enabled && @nested, do: "true"}
+      data-sortable-max-depth={if @enabled && @nested, do: @max_depth}
+      data-sortable-indent={if @enabled && @nested, do: @indent}
+      data-sortable-payload={if @enabled && @payload == "delta", do: "delta"}
+      data-sortable-engine={if @enabled, do: @engine}
+      data-sortable-scroll-speed={if @enabled, do: @scroll_speed}
+      data-sortable-page-event={if @enabled, do: @page_event}
       {@rest}
     >
       {render_slot(@inner_block)}
@@ -97,6 +199,8 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
   pass through alongside.
   """
   attr :item_id, :string, required: true
+  attr :depth, :integer, default: nil, doc: "Tree depth, for a `nested` tbody."
+  attr :rank, :any, default: nil, doc: "Stored position, for a `payload=\"delta\"` tbody."
   attr :class, :any, default: ""
   attr :rest, :global
 
@@ -107,6 +211,8 @@ defmodule PhoenixKitWeb.Components.Core.Sortable do
     <PhoenixKitWeb.Components.Core.TableDefault.table_default_row
       class={["sortable-item", @class]}
       data-id={@item_id}
+      data-depth={@depth}
+      data-rank={@rank}
       {@rest}
     >
       {render_slot(@inner_block)}
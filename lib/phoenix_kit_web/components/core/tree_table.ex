@@ -41,6 +41,10 @@ defmodule PhoenixKitWeb.Components.Core.TreeTable do
   consumer flips the uuid in its expanded MapSet and rebuilds the
   walked rows. Non-expandable rows render a fixed-width spacer so
   names at the same depth stay aligned.
+
+  For drag-and-drop between levels, render the rows with
+  `<.sortable_tbody nested>` and `<.sortable_row depth={depth}>`; the
+  hook re-indents this cell as a row changes depth.
   """
 
   use Phoenix.Component
@@ -88,6 +92,7 @@ defmodule PhoenixKitWeb.Components.Core.TreeTable do
     <td class={@class} {@rest}>
       <div
         class="flex items-center gap-1.5 min-w-0"
+        data-tree-indent={@indent}
         style={@depth > 0 && "padding-left: calc(#{@depth} * #{@indent})"}
       >
         <button
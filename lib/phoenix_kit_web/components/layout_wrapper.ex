@@ -374,7 +374,7 @@ defmodule PhoenixKitWeb.Components.LayoutWrapper do
             ~H"""
             <%!-- PhoenixKit Admin Layout --%>
             <%!-- Globals + favicon needed here for render_admin_with_parent path where parent layout may not set them --%>
-            <.phoenix_kit_globals />
+            <.phoenix_kit_globals scope={@phoenix_kit_current_scope} />
             <.phoenix_kit_favicon />
             <style data-phoenix-kit-themes>
               <%= HTML.raw(ThemeConfig.custom_theme_css()) %>
@@ -827,7 +827,7 @@ defmodule PhoenixKitWeb.Components.LayoutWrapper do
         <PhoenixKitWeb.Components.Core.CrawlerMetas.crawler_metas />
         <link phx-track-static rel="stylesheet" href="/assets/css/app.css" />
         <%!-- PhoenixKit Cookie Consent Widget Setup --%>
-        <.phoenix_kit_globals />
+        <.phoenix_kit_globals scope={assigns[:phoenix_kit_current_scope]} />
         <%= if Code.ensure_loaded?(PhoenixKit.Modules.Legal) do %>
           <script defer src={Routes.path("/assets/phoenix_kit_consent.js")}>
           </script>
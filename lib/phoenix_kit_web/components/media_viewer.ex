@@ -3,7 +3,8 @@ defmodule PhoenixKitWeb.Components.MediaViewer do
   Standalone media lightbox ("slide box") LiveComponent.
 
   Renders a `<dialog>` modal showing one file from an ordered set, with
-  prev/next navigation (chevrons + ←/→ keys) and Escape/backdrop close.
+  prev/next navigation (chevrons, ←/→ keys, horizontal swipes) and
+  Escape/backdrop/swipe-down close.
   Per-file content (the pan/zoom canvas with annotations + comments
   thread for images, video/PDF/icon fallback otherwise) is delegated to
   the shared `PhoenixKitWeb.Components.MediaCanvasViewer` child
@@ -25,6 +26,19 @@ defmodule PhoenixKitWeb.Components.MediaViewer do
   - `current_user` — required for the composer / comments thread to
     render. nil-tolerant (lightbox falls back to view-only).
   - `notify` — optional `{module, id}`; see Close below
+  - `slideshow_interval` — milliseconds between slideshow steps
+    (default 5000)
+
+  ## Preloading and slideshow
+  The dialog carries signed URLs for the previous and next images in
+  `data-prev-src` / `data-next-src`, and the `MediaViewerDialog` hook
+  prefetches them so stepping doesn't wait on the download. Hosts can
+  warm more with `push_event("viewer:preload", %{urls: [...]})`.
+
+  The play button (shown when there's more than one file) runs a
+  slideshow client-side: each tick pushes `viewer_keydown` ArrowRight,
+  the same path as the → key, pausing while the pointer or focus is
+  inside the viewer and stopping at the last file.
 
   ## Close
   On close, if `notify: {module, id}` is set:
@@ -47,8 +61,12 @@ defmodule PhoenixKitWeb.Components.MediaViewer do
       |> assign_new(:current_uuid, fn -> assigns[:current] end)
       |> assign(:notify, assigns[:notify])
       |> assign(:current_user, assigns[:current_user])
+      |> assign(:slideshow_interval, assigns[:slideshow_interval] || 5000)
 
-    {:ok, assign(socket, :current_file, curate_file(socket.assigns.current_uuid))}
+    {:ok,
+     socket
+     |> assign(:current_file, curate_file(socket.assigns.current_uuid))
+     |> assign_adjacent()}
   end
 
   @impl true
@@ -96,11 +114,46 @@ defmodule PhoenixKitWeb.Components.MediaViewer do
       socket
       |> assign(:current_uuid, uuid)
       |> assign(:current_file, curate_file(uuid))
+      |> assign_adjacent()
     else
       _ -> socket
     end
   end
 
+  # Prefetch targets for the hook: the raster the canvas ends up
+  # showing for the neighbouring files — the original, or `large` for
+  # >4K images, which the canvas streams as tiles instead. Non-images
+  # get nothing (videos and PDFs aren't worth fetching speculatively).
+  defp assign_adjacent(socket) do
+    list = socket.assigns.files
+    idx = Enum.find_index(list, &(&1 == socket.assigns.current_uuid))
+
+    {prev_uuid, next_uuid} =
+      if is_integer(idx) do
+        {if(idx > 0, do: Enum.at(list, idx - 1)), Enum.at(list, idx + 1)}
+      else
+        {nil, nil}
+      end
+
+    socket
+    |> assign(:prev_src, preload_src(prev_uuid))
+    |> assign(:next_src, preload_src(next_uuid))
+  end
+
+  defp preload_src(nil), do: nil
+
+  defp preload_src(file_uuid) when is_binary(file_uuid) do
+    case safe(fn -> Storage.get_file(file_uuid) end, nil) do
+      %{mime_type: "image/" <> _} = file ->
+        over_4k = max(file.width || 0, file.height || 0) > 4096
+        variant = if over_4k, do: "large", else: "original"
+        safe(fn -> URLSigner.signed_url(file_uuid, variant) end, nil)
+
+      _ ->
+        nil
+    end
+  end
+
   # Build the curated file map MediaCanvasViewer expects. Slim version
   # of MediaBrowser's `enrich_files/1` — same shape minus the
   # folder_path (lightbox doesn't show folder breadcrumbs). One File
@@ -0,0 +1,80 @@
+defmodule PhoenixKitWeb.Controllers.ConsentReceipt do
+  @moduledoc """
+  Receives the cookie consent widget's receipts and stores them through
+  `PhoenixKit.ConsentLog`.
+
+  The bundle posts one whenever the visitor's choice changes, and queues it
+  for a retry when the post fails. How it reads the answer is part of the
+  contract:
+
+    * `201` — stored (or already stored: a retried receipt is not a second
+      one). The bundle drops it from its queue.
+    * `422` — not a receipt. Retrying cannot help, so the bundle drops it.
+    * `401` / `403` — the CSRF check failed, most likely on a token that went
+      stale with a log-in or log-out. The bundle keeps it and tries again
+      with the token of the page it is on then.
+    * `429` — rate limited. The bundle keeps it and tries again later, as it
+      does for 5xx and network failures.
+
+  Any other 4xx is final, so the bundle drops the receipt with a console
+  warning.
+
+  ## Why it sits next to `/api/consent-config`
+
+  Same scope, same reason: the bundle calls it unconditionally, and the table
+  it writes to is created by core's migrations rather than by
+  `phoenix_kit_legal`, so there is no install for which the route should be
+  missing. Being in the `:browser` scope also means CSRF protection applies;
+  the bundle sends the page's token in `x-csrf-token`. It sends no `Accept`
+  header of its own: the pipeline accepts html alone, and fetch's default
+  `*/*` passes where `application/json` would get a 406.
+
+  ## Auth
+
+  None. Receipts are anonymous by design and keyed on the consent id the
+  browser generated; the signed-in user is recorded when there is one.
+  """
+  use PhoenixKitWeb, :controller
+
+  alias PhoenixKit.ConsentLog
+  alias PhoenixKit.Users.RateLimiter
+  alias PhoenixKit.Utils.SessionFingerprint
+
+  @doc """
+  Stores a consent receipt. See the moduledoc for the status codes.
+  """
+  def create(conn, params) do
+    fingerprint = SessionFingerprint.create_fingerprint(conn)
+    user = conn.assigns[:phoenix_kit_current_user]
+
+    context = %{
+      ip_address: fingerprint.ip_address,
+      user_agent_hash: fingerprint.user_agent_hash,
+      user_uuid: user && user.uuid
+    }
+
+    conn = put_resp_header(conn, "cache-control", "no-store")
+
+    with :ok <- RateLimiter.check_consent_receipt_rate_limit(fingerprint.ip_address),
+         {:ok, _entries} <- ConsentLog.record_receipt(params, context) do
+      conn
+      |> put_status(:created)
+      |> json(%{status: "recorded"})
+    else
+      {:error, :rate_limit_exceeded} ->
+        conn
+        |> put_status(:too_many_requests)
+        |> json(%{error: "RATE_LIMITED", message: "Too many consent receipts, try again shortly"})
+
+      {:error, :invalid_receipt} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "INVALID_RECEIPT", message: "Not a consent receipt"})
+
+      {:error, %Ecto.Changeset{}} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "INVALID_RECEIPT", message: "Consent receipt failed validation"})
+    end
+  end
+end
@@ -283,6 +283,9 @@ defmodule PhoenixKitWeb.Integration do
         # conditional route meant a NoRouteError and a logged exception per
         # request. The controller answers 204 when the module is absent.
         get "/api/consent-config", Controllers.ConsentConfig, :config
+        # Consent receipts from the same widget, stored by core in
+        # phoenix_kit_consent_logs (see PhoenixKit.ConsentLog).
+        post "/api/consent-receipt", Controllers.ConsentReceipt, :create
       end
 
       # Maintenance mode page — public LiveView, no auth required.
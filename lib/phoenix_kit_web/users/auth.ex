@@ -59,6 +59,7 @@ defmodule PhoenixKitWeb.Users.Auth do
   alias PhoenixKit.Utils.Routes
   alias PhoenixKit.Utils.SessionFingerprint
   alias PhoenixKit.Utils.UserAgent
+  alias PhoenixKitWeb.Components.Core.PhoenixKitGlobals
   alias PhoenixKitWeb.Users.MultiSession
 
   # Make the remember me cookie valid for 60 days.
@@ -74,6 +75,13 @@ defmodule PhoenixKitWeb.Users.Auth do
     secure: true
   ]
 
+  # Read and expired by phoenix_kit.js on the next page load, which then
+  # drops the signed-out user's PhoenixKit.storage keys. Not HttpOnly: the
+  # script is the reader. The value is the opaque storage namespace, nothing
+  # more.
+  @clear_storage_cookie "phoenix_kit_clear_storage"
+  @clear_storage_options [max_age: 60, same_site: "Lax", http_only: false]
+
   @doc """
   Logs the user in.
 
@@ -319,7 +327,9 @@ defmodule PhoenixKitWeb.Users.Auth do
   @doc """
   Logs the user out.
 
-  It clears all session data for safety. See renew_session.
+  It clears all session data for safety. See renew_session. The response
+  also tells the browser bundle to clear the user's client-side state
+  (`PhoenixKit.storage`) on the next page.
   """
   def log_out_user(conn) do
     user_token = get_session(conn, :user_token)
@@ -352,9 +362,17 @@ defmodule PhoenixKitWeb.Users.Auth do
     conn
     |> renew_session()
     |> delete_resp_cookie(@remember_me_cookie)
+    |> put_clear_storage_cookie(user)
     |> redirect(to: Routes.safe_destination(conn, scope: nil))
   end
 
+  defp put_clear_storage_cookie(conn, nil), do: conn
+
+  defp put_clear_storage_cookie(conn, user) do
+    namespace = PhoenixKitGlobals.storage_namespace(user.uuid)
+    put_resp_cookie(conn, @clear_storage_cookie, namespace, @clear_storage_options)
+  end
+
   @doc """
   Logs out a specific user by invalidating all their session tokens and broadcasting disconnect to their LiveView sessions.
 
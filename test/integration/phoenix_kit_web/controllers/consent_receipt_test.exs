@@ -0,0 +1,122 @@
+defmodule PhoenixKitWeb.ConsentReceiptTest do
+  @moduledoc """
+  `POST /api/consent-receipt` — the cookie consent widget's server-side record
+  of what a visitor agreed to. The bundle reads the status codes (201 stored,
+  422 drop, anything else retry), so they are part of the contract, and so
+  are the headers it posts with.
+  """
+  use PhoenixKitWeb.ConnCase, async: true
+
+  alias PhoenixKit.ConsentLog
+  alias PhoenixKit.Utils.Routes
+
+  defp receipt_path, do: Routes.path("/api/consent-receipt")
+
+  defp receipt(overrides \\ %{}) do
+    Map.merge(
+      %{
+        "receipt_id" => Ecto.UUID.generate(),
+        "consent_id" => Ecto.UUID.generate(),
+        "action" => "save_preferences",
+        "categories" => %{
+          "necessary" => true,
+          "analytics" => true,
+          "marketing" => false,
+          "preferences" => false
+        },
+        "vendors" => %{"plausible" => true, "hotjar" => false},
+        "policy_version" => "2.1",
+        "frameworks" => ["gdpr"],
+        "consent_mode" => "strict",
+        "timestamp" => "2026-10-19T09:00:00.000Z"
+      },
+      overrides
+    )
+  end
+
+  test "stores one entry per category", %{conn: conn} do
+    body = receipt()
+    conn = post(conn, receipt_path(), body)
+
+    assert conn.status == 201
+    assert get_resp_header(conn, "cache-control") == ["no-store"]
+
+    entries = ConsentLog.list_for_consent_id(body["consent_id"])
+
+    assert Enum.map(entries, &{&1.consent_type, &1.consent_given}) == [
+             {"analytics", true},
+             {"marketing", false},
+             {"necessary", true},
+             {"preferences", false}
+           ]
+
+    entry = hd(entries)
+    assert entry.consent_version == "2.1"
+    assert entry.ip_address
+    assert entry.metadata["action"] == "save_preferences"
+    assert entry.metadata["frameworks"] == ["gdpr"]
+    assert entry.metadata["vendors"] == %{"plausible" => true, "hotjar" => false}
+    assert entry.metadata["consented_at"] == "2026-10-19T09:00:00.000Z"
+  end
+
+  test "takes a JSON body posted with the bundle's headers", %{conn: conn} do
+    body = receipt()
+
+    # What fetch sends for the bundle: its own content type and token, and
+    # the default Accept.
+    conn =
+      conn
+      |> put_req_header("content-type", "application/json")
+      |> put_req_header("accept", "*/*")
+      |> put_req_header("x-csrf-token", "token")
+      |> post(receipt_path(), Jason.encode!(body))
+
+    assert conn.status == 201
+    assert length(ConsentLog.list_for_consent_id(body["consent_id"])) == 4
+  end
+
+  test "records a browser privacy signal the widget honored", %{conn: conn} do
+    body =
+      receipt(%{
+        "action" => "privacy_signal",
+        "frameworks" => ["ccpa"],
+        "privacy_signal" => %{"gpc" => true, "dnt" => false}
+      })
+
+    assert post(conn, receipt_path(), body).status == 201
+
+    [entry | _] = ConsentLog.list_for_consent_id(body["consent_id"])
+    assert entry.metadata["action"] == "privacy_signal"
+    assert entry.metadata["privacy_signal"] == %{"gpc" => true, "dnt" => false}
+  end
+
+  test "accepts a category allowed from an embed's placeholder", %{conn: conn} do
+    body = receipt(%{"action" => "allow_category"})
+
+    assert post(conn, receipt_path(), body).status == 201
+
+    [entry | _] = ConsentLog.list_for_consent_id(body["consent_id"])
+    assert entry.metadata["action"] == "allow_category"
+  end
+
+  test "a retried receipt is acknowledged but not stored twice", %{conn: conn} do
+    body = receipt()
+
+    assert post(conn, receipt_path(), body).status == 201
+    assert post(build_conn(), receipt_path(), body).status == 201
+
+    assert length(ConsentLog.list_for_consent_id(body["consent_id"])) == 4
+  end
+
+  test "a body that isn't a receipt is refused with 422", %{conn: conn} do
+    for body <- [
+          receipt(%{"action" => "shrug"}),
+          receipt(%{"categories" => %{}}),
+          receipt(%{"categories" => %{"analytics" => "yes"}}),
+          receipt(%{"consent_id" => "not a consent id!"}),
+          Map.delete(receipt(), "consent_id")
+        ] do
+      assert post(conn, receipt_path(), body).status == 422
+    end
+  end
+end
@@ -3,6 +3,7 @@ defmodule PhoenixKitWeb.Users.AuthFlowsTest do
   Login/registration flow behavior:
 
   - remember-me cookie persistence (registration + magic-link vs plain login)
+  - the log-out response's client-storage clearing cookie
   - configurable post-login / post-registration destinations
   - the `require_email_confirmation` toggle
   - the /users/confirm parked page moving confirmed users along
@@ -16,6 +17,7 @@ defmodule PhoenixKitWeb.Users.AuthFlowsTest do
   alias PhoenixKit.Users.MagicLinkRegistration
   alias PhoenixKit.Users.RateLimiter
   alias PhoenixKit.Utils.Routes
+  alias PhoenixKitWeb.Components.Core.PhoenixKitGlobals
   alias PhoenixKitWeb.Users.Auth, as: UserAuth
 
   @remember_me_cookie "_phoenix_kit_web_user_remember_me"
@@ -184,6 +186,21 @@ defmodule PhoenixKitWeb.Users.AuthFlowsTest do
     end
   end
 
+  describe "log-out" do
+    test "tells the browser bundle whose stored state to clear", %{conn: conn} do
+      user = confirmed_user()
+
+      conn = conn |> login_conn(user) |> delete(Routes.path("/users/log-out"))
+
+      assert redirected_to(conn)
+
+      assert %{value: namespace, max_age: 60, http_only: false} =
+               conn.resp_cookies["phoenix_kit_clear_storage"]
+
+      assert namespace == PhoenixKitGlobals.storage_namespace(user.uuid)
+    end
+  end
+
   describe "post-login destination" do
     # The default is the host's `/`. This router is `PhoenixKitWeb.Router`,
     # which declares no root route — so the probe rejects it and the visitor
@@ -0,0 +1,126 @@
+"use strict";
+
+// Unit tests for the candidate-URL ordering behind the asset loader in
+// priv/static/assets/phoenix_kit.js (window.PhoenixKitAssets). The bundle is
+// browser code (IIFEs that assign onto `window`), so stub the globals it
+// touches at load time; no <script> is ever injected here.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+const { assetCandidates } = require("../../priv/static/assets/phoenix_kit.js");
+
+const SPEC = {
+  name: "sortablejs",
+  file: "Sortable.min.js",
+  cdn: "https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js",
+};
+
+const srcs = (list) => list.map((c) => c.src);
+
+test("assetCandidates: with nothing configured, only the CDN is tried", () => {
+  assert.deepEqual(assetCandidates(SPEC, {}), [{ src: SPEC.cdn, integrity: null }]);
+  assert.deepEqual(srcs(assetCandidates(SPEC, undefined)), [SPEC.cdn]);
+});
+
+test("assetCandidates: explicit URL, then baseUrl, then CDN", () => {
+  const cfg = {
+    baseUrl: "/assets/vendor/",
+    urls: { sortablejs: "/js/Sortable.js" },
+  };
+  assert.deepEqual(srcs(assetCandidates(SPEC, cfg)), [
+    "/js/Sortable.js",
+    "/assets/vendor/Sortable.min.js",
+    SPEC.cdn,
+  ]);
+});
+
+test("assetCandidates: cdn: false drops the jsDelivr fallback", () => {
+  const cfg = { baseUrl: "/vendor", cdn: false };
+  assert.deepEqual(srcs(assetCandidates(SPEC, cfg)), ["/vendor/Sortable.min.js"]);
+  assert.deepEqual(assetCandidates(SPEC, { cdn: false }), []);
+});
+
+test("assetCandidates: integrity applies per library, object URLs override it", () => {
+  const cfg = {
+    baseUrl: "/vendor",
+    urls: { sortablejs: { src: "/js/s.js", integrity: "sha384-own" } },
+    integrity: { sortablejs: "sha384-shared", panzoom: "sha384-other" },
+  };
+  assert.deepEqual(assetCandidates(SPEC, cfg), [
+    { src: "/js/s.js", integrity: "sha384-own" },
+    { src: "/vendor/Sortable.min.js", integrity: "sha384-shared" },
+    { src: SPEC.cdn, integrity: "sha384-shared" },
+  ]);
+});
+
+test("assetCandidates: duplicates and blank entries are skipped", () => {
+  const cfg = { baseUrl: "", urls: { sortablejs: SPEC.cdn, panzoom: "/pz.js" } };
+  assert.deepEqual(srcs(assetCandidates(SPEC, cfg)), [SPEC.cdn]);
+});
@@ -0,0 +1,148 @@
+"use strict";
+
+// Unit tests for the runtime configuration (window.PhoenixKit.configure /
+// config) in priv/static/assets/phoenix_kit.js. The bundle is browser code
+// (IIFEs that assign onto `window`), so stub the globals it touches at load
+// time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+// What phoenix_kit_globals renders ahead of the bundle: a stub configure
+// that queues, so the server's call survives the bundle loading later.
+global.window.PhoenixKit = {};
+global.window.PhoenixKit.configure = function (c) {
+  (global.window.PhoenixKit.__configQueue = global.window.PhoenixKit.__configQueue || []).push(c);
+};
+global.window.PhoenixKit.configure({ prefix: "/kit", consent: { available: false } });
+
+require("../../priv/static/assets/phoenix_kit.js");
+const { configure, config } = global.window.PhoenixKit;
+
+// Collects console.warn output for one call without leaking it to the runner.
+function warnings(fn) {
+  const seen = [];
+  const original = console.warn;
+  console.warn = (msg) => seen.push(msg);
+  try {
+    fn();
+  } finally {
+    console.warn = original;
+  }
+  return seen;
+}
+
+test("configure: calls queued before the bundle loaded are applied", () => {
+  assert.equal(config("prefix"), "/kit");
+  assert.equal(config("consent.available"), false);
+  assert.equal(global.window.PhoenixKit.__configQueue, undefined);
+});
+
+test("config: defaults are readable by dotted path", () => {
+  assert.equal(config("searchPicker.debounceMs"), 180);
+  assert.equal(config("mediaDragDrop.longPressMs"), 450);
+  assert.deepEqual(config("timeAgo.thresholds"), { seconds: 60, minutes: 60, hours: 24 });
+  assert.equal(config("nope.missing"), undefined);
+});
+
+test("configure: deep-merges, leaving sibling options alone", () => {
+  configure({ timeAgo: { thresholds: { seconds: 45 } } });
+  assert.deepEqual(config("timeAgo.thresholds"), { seconds: 45, minutes: 60, hours: 24 });
+  assert.equal(config("timeAgo.refreshMs.seconds"), 1000);
+  configure({ timeAgo: { thresholds: { seconds: 60 } } });
+});
+
+test("configure: unknown keys and wrong types warn and keep the current value", () => {
+  const seen = warnings(() =>
+    configure({
+      searchPicker: { debounceMs: "fast", debounce: 100 },
+      mediaDragDrop: { longPressMs: -1 },
+      timeAgo: 5,
+    })
+  );
+  assert.equal(seen.length, 4);
+  assert.match(seen.join("\n"), /"searchPicker\.debounceMs" expects a non-negative number/);
+  assert.match(seen.join("\n"), /unknown option "searchPicker\.debounce"/);
+  assert.match(seen.join("\n"), /"timeAgo" must be an object/);
+  assert.equal(config("searchPicker.debounceMs"), 180);
+  assert.equal(config("mediaDragDrop.longPressMs"), 450);
+});
+
+test("config: returns copies, so callers cannot mutate the live config", () => {
+  config("timeAgo").thresholds.seconds = 1;
+  configure().searchPicker.debounceMs = 1;
+  assert.equal(config("timeAgo.thresholds.seconds"), 60);
+  assert.equal(config("searchPicker.debounceMs"), 180);
+});
+
+test("configure: a value of the configured type is accepted", () => {
+  assert.deepEqual(warnings(() => configure({ searchPicker: { debounceMs: 250 }, prefix: "/" })), []);
+  assert.equal(config("searchPicker.debounceMs"), 250);
+  assert.equal(config("prefix"), "/");
+});
@@ -0,0 +1,219 @@
+"use strict";
+
+// Tests for the cookie consent module's configurable categories and vendors
+// in priv/static/assets/phoenix_kit.js: hasConsent() with custom ids and
+// vendors, the preference toggles, and which blocked scripts run. The bundle
+// is browser code (IIFEs that assign onto `window`), so stub the globals it
+// touches — here including the widget's checkboxes and a few scripts.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+// Toggles as the widget renders them: pk-consent-<category> and
+// pk-consent-vendor-<vendor>.
+const checkboxes = {};
+function checkbox(id, attrs) {
+  checkboxes[id] = {
+    id,
+    type: "checkbox",
+    checked: false,
+    disabled: false,
+    getAttribute: (name) => (attrs[name] === undefined ? null : attrs[name]),
+  };
+}
+
+// Scripts held back until consent; `ran` collects the ones swapped back in.
+const ran = [];
+function blockedScript(attrs) {
+  const all = Object.assign({ type: "text/plain", "data-blocked": "true" }, attrs);
+  return {
+    src: "",
+    textContent: "",
+    get attributes() { return Object.keys(all).map((name) => ({ name, value: all[name] })); },
+    getAttribute: (name) => (all[name] === undefined ? null : all[name]),
+    setAttribute: (name, value) => (all[name] = value),
+    matches: () => "data-consent-category" in all || "data-consent-vendor" in all,
+    parentNode: { replaceChild: (_fresh, old) => ran.push(old.label) },
+  };
+}
+
+let scripts = [];
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: (id) => checkboxes[id] || null,
+  querySelector: () => null,
+  querySelectorAll: (sel) => (sel.indexOf("script") === 0 ? scripts.filter((s) => s.getAttribute("data-blocked") === "true") : []),
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: mapStorage(),
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+global.fetch = () => Promise.resolve({ status: 201, ok: true });
+
+require("../../priv/static/assets/phoenix_kit.js");
+const consent = window.PhoenixKitConsent;
+
+const categories = [
+  { id: "necessary", name: "Essential" },
+  {
+    id: "statistics",
+    name: "Statistics",
+    vendors: [
+      { id: "plausible", name: "Plausible", purpose: "Visit counts", cookies: ["plausible_ignore"] },
+      { id: "hotjar", name: "Hotjar", purpose: "Heatmaps", cookies: ["_hjid"] },
+    ],
+  },
+  { id: "Bad Id", name: "Skipped" },
+  // One character past what the consent log stores.
+  { id: "a_category_id_of_31_characters_", name: "Too long" },
+  { id: "ads", name: "Ads" },
+];
+
+checkbox("pk-consent-necessary", { "data-category": "necessary" });
+checkboxes["pk-consent-necessary"].disabled = true;
+checkboxes["pk-consent-necessary"].checked = true;
+checkbox("pk-consent-statistics", { "data-category": "statistics" });
+checkbox("pk-consent-vendor-plausible", { "data-vendor": "plausible", "data-vendor-category": "statistics" });
+checkbox("pk-consent-vendor-hotjar", { "data-vendor": "hotjar", "data-vendor-category": "statistics" });
+checkbox("pk-consent-ads", { "data-category": "ads" });
+
+const warnings = [];
+console.warn = (...args) => warnings.push(args.join(" "));
+
+window.PhoenixKitHooks.CookieConsent.mounted.call({
+  el: Object.assign(stubElement(), {
+    dataset: { frameworks: '["gdpr"]', categories: JSON.stringify(categories) },
+  }),
+});
+
+test.beforeEach(() => {
+  ran.length = 0;
+  scripts = [];
+});
+
+test("categories come from the config; bad ids are skipped, necessary is required", () => {
+  const list = consent.getCategories();
+  assert.deepEqual(list.map((c) => c.id), ["necessary", "statistics", "ads"]);
+  assert.match(warnings.join("\n"), /a_category_id_of_31_characters_ is past the consent log's limits/);
+  assert.equal(list[0].required, true);
+  assert.deepEqual(list[1].vendors[0], {
+    id: "plausible",
+    name: "Plausible",
+    purpose: "Visit counts",
+    cookies: ["plausible_ignore"],
+  });
+});
+
+test("hasConsent works with custom category ids and vendors", () => {
+  consent.acceptAll();
+  assert.equal(consent.hasConsent("statistics"), true);
+  assert.equal(consent.hasConsent("statistics", "hotjar"), true);
+  assert.equal(consent.hasConsent(null, "plausible"), true);
+  assert.equal(consent.hasConsent("ads"), true);
+
+  consent.rejectAll();
+  assert.equal(consent.hasConsent("statistics"), false);
+  assert.equal(consent.hasConsent(null, "plausible"), false);
+  assert.equal(consent.hasConsent("necessary"), true);
+});
+
+test("a vendor switched off on its own stays off while its category is on", () => {
+  checkboxes["pk-consent-statistics"].checked = true;
+  checkboxes["pk-consent-vendor-plausible"].checked = true;
+  checkboxes["pk-consent-vendor-hotjar"].checked = false;
+  checkboxes["pk-consent-ads"].checked = false;
+  consent.savePreferences();
+
+  assert.equal(consent.hasConsent("statistics"), true);
+  assert.equal(consent.hasConsent("statistics", "plausible"), true);
+  assert.equal(consent.hasConsent("statistics", "hotjar"), false);
+  assert.equal(consent.hasConsent("ads"), false);
+  assert.deepEqual(consent.getConsent().vendors, { plausible: true, hotjar: false });
+});
+
+test("blocked scripts run by category and by vendor", () => {
+  const label = (script, name) => Object.assign(script, { label: name });
+  scripts = [
+    label(blockedScript({ "data-consent-category": "statistics" }), "statistics"),
+    label(blockedScript({ "data-consent-vendor": "plausible" }), "plausible"),
+    label(blockedScript({ "data-consent-category": "statistics", "data-consent-vendor": "hotjar" }), "hotjar"),
+    label(blockedScript({ "data-consent-category": "ads" }), "ads"),
+  ];
+
+  checkboxes["pk-consent-statistics"].checked = true;
+  checkboxes["pk-consent-vendor-plausible"].checked = true;
+  checkboxes["pk-consent-vendor-hotjar"].checked = false;
+  checkboxes["pk-consent-ads"].checked = false;
+  consent.savePreferences();
+
+  assert.deepEqual(ran, ["statistics", "plausible"]);
+});
+
+test("a malformed data-categories falls back to the default categories", () => {
+  const hook = window.PhoenixKitHooks.CookieConsent;
+  hook.destroyed();
+  warnings.length = 0;
+  hook.mounted.call({
+    el: Object.assign(stubElement(), { dataset: { frameworks: '["gdpr"]', categories: "[{id: oops" } }),
+  });
+
+  assert.equal(consent.initialized, true);
+  assert.deepEqual(consent.getCategories().map((c) => c.id), ["necessary", "analytics", "marketing", "preferences"]);
+  assert.match(warnings.join("\n"), /data-categories is not valid JSON/);
+});
@@ -0,0 +1,284 @@
+"use strict";
+
+// Tests for click-to-load embeds in priv/static/assets/phoenix_kit.js:
+// iframes, images and videos with `data-consent-category` and `data-src`
+// stay unloaded behind a placeholder until consent allows them, either by
+// "load this once" or by allowing their category. The bundle is browser code
+// (IIFEs that assign onto `window`), so stub the globals it touches — here
+// including a minimal element tree for the embeds and their placeholders.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+// Just enough of an element for the placeholders: attributes, children,
+// click listeners, and insertion before a sibling.
+function fakeElement(tagName, attrs) {
+  const all = Object.assign({}, attrs);
+  const listeners = {};
+  const el = {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    hidden: false,
+    children: [],
+    parentNode: null,
+    textContent: "",
+    classList: { add: (name) => (el.className += " " + name) },
+    className: "",
+    getAttribute: (name) => (all[name] === undefined ? null : all[name]),
+    setAttribute: (name, value) => (all[name] = String(value)),
+    removeAttribute: (name) => delete all[name],
+    hasAttribute: (name) => name in all,
+    appendChild: (child) => {
+      child.parentNode = el;
+      el.children.push(child);
+    },
+    insertBefore: (child, ref) => {
+      child.parentNode = el;
+      el.children.splice(el.children.indexOf(ref), 0, child);
+    },
+    remove: () => {
+      if (!el.parentNode) return;
+      el.parentNode.children.splice(el.parentNode.children.indexOf(el), 1);
+      el.parentNode = null;
+    },
+    addEventListener: (type, fn) => (listeners[type] = fn),
+    click: () => listeners.click(),
+    querySelectorAll: () => [],
+    load: () => (el.reloaded = true),
+  };
+  return el;
+}
+
+const page = fakeElement("main", {});
+let embeds = [];
+
+function embed(tag, attrs) {
+  const el = fakeElement(tag, attrs);
+  page.appendChild(el);
+  embeds.push(el);
+  return el;
+}
+
+const held = () => embeds.filter((el) => el.hasAttribute("data-src"));
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: fakeElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: (sel) => (sel.indexOf("iframe") === 0 ? held() : []),
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: mapStorage(),
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+
+const receipts = [];
+global.fetch = (_url, opts) => {
+  receipts.push(JSON.parse(opts.body));
+  return Promise.resolve({ status: 201, ok: true });
+};
+
+require("../../priv/static/assets/phoenix_kit.js");
+const consent = window.PhoenixKitConsent;
+const hook = window.PhoenixKitHooks.CookieConsent;
+const embedsHook = window.PhoenixKitHooks.ConsentEmbeds;
+
+const CATEGORIES = JSON.stringify([
+  { id: "necessary", name: "Essential", required: true },
+  { id: "media", name: "Media", vendors: [{ id: "youtube", name: "YouTube" }] },
+  { id: "social", name: "Social" },
+]);
+
+function mount() {
+  window.PhoenixKit.storage.remove("consent", { scope: "global" });
+  // The copy for host scripts, which a first read would migrate back.
+  window.localStorage.removeItem("pk_consent");
+  page.children = [];
+  embeds = [];
+  receipts.length = 0;
+  hook.destroyed();
+}
+
+function init(frameworks) {
+  hook.mounted.call({
+    el: Object.assign(stubElement(), { dataset: { frameworks: frameworks || '["gdpr"]', categories: CATEGORIES } }),
+  });
+}
+
+// What a LiveView patch does to the embeds: the server's markup back, and
+// nothing the client added.
+function patch() {
+  page.children.filter((el) => !embeds.includes(el)).forEach((el) => el.remove());
+  embeds.forEach((el) => {
+    el.hidden = false;
+    el.removeAttribute("data-consent-held");
+    if (el.hasAttribute("src")) {
+      el.setAttribute("data-src", el.getAttribute("src"));
+      el.removeAttribute("src");
+    }
+  });
+}
+
+const placeholderOf = (el) => page.children[page.children.indexOf(el) - 1];
+const buttons = (placeholder) => placeholder.children[1].children;
+
+test("a held embed stays unloaded behind a placeholder naming its category", () => {
+  mount();
+  const video = embed("iframe", { "data-src": "https://youtube.test/embed/1", "data-consent-vendor": "youtube" });
+  init();
+
+  const placeholder = placeholderOf(video);
+  assert.equal(video.getAttribute("src"), null);
+  assert.equal(video.hidden, true);
+  assert.equal(placeholder.getAttribute("role"), "group");
+  assert.equal(placeholder.children[0].textContent, "This YouTube content is blocked until you allow Media cookies.");
+  // Styled from the nonce'd stylesheet, not inline.
+  assert.deepEqual([placeholder, ...placeholder.children].map((n) => n.style.cssText), [undefined, undefined, undefined]);
+  assert.equal(placeholder.children[1].className, "pk-consent-placeholder-actions");
+  assert.deepEqual(buttons(placeholder).map((b) => b.textContent), ["Load this once", "Always allow Media"]);
+});
+
+test("load this once loads only that embed and grants nothing", () => {
+  mount();
+  const one = embed("iframe", { "data-src": "https://maps.test/a", "data-consent-category": "social" });
+  const two = embed("img", { "data-src": "https://maps.test/b.png", "data-consent-category": "social" });
+  init();
+
+  buttons(placeholderOf(one))[0].click();
+
+  assert.equal(one.getAttribute("src"), "https://maps.test/a");
+  assert.equal(one.hidden, false);
+  assert.equal(page.children.length, 3);
+  assert.equal(two.getAttribute("src"), null);
+  assert.equal(consent.getConsent(), null);
+});
+
+test("always allow grants the category, records it and loads its embeds", async () => {
+  mount();
+  const one = embed("iframe", { "data-src": "https://social.test/1", "data-consent-category": "social" });
+  const two = embed("img", { "data-src": "https://social.test/2.png", "data-srcset": "https://social.test/2@2x.png 2x", "data-consent-category": "social" });
+  const other = embed("iframe", { "data-src": "https://youtube.test/embed/2", "data-consent-category": "media" });
+  init();
+
+  buttons(placeholderOf(one))[1].click();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(consent.hasConsent("social"), true);
+  assert.equal(consent.hasConsent("media"), false);
+  assert.equal(two.getAttribute("srcset"), "https://social.test/2@2x.png 2x");
+  assert.equal(one.getAttribute("src"), "https://social.test/1");
+  assert.equal(other.getAttribute("src"), null);
+  // Only the media embed's placeholder is left.
+  assert.equal(page.children.length, 4);
+  assert.equal(receipts[0].action, "allow_category");
+});
+
+test("applying a consent loads what it allows", () => {
+  mount();
+  const video = embed("video", { "data-src": "https://cdn.test/clip.mp4", "data-consent-category": "media" });
+  init();
+
+  consent.acceptAll();
+
+  assert.equal(video.getAttribute("src"), "https://cdn.test/clip.mp4");
+  assert.equal(video.reloaded, true);
+  assert.equal(page.children.length, 1);
+});
+
+test("with no choice yet a required category loads and gets no placeholder", () => {
+  mount();
+  const required = embed("iframe", { "data-src": "https://status.test/widget", "data-consent-category": "necessary" });
+  init();
+
+  assert.equal(required.getAttribute("src"), "https://status.test/widget");
+  assert.equal(required.hidden, false);
+  assert.equal(page.children.length, 1);
+});
+
+test("an opt-out framework loads embeds until told otherwise", () => {
+  mount();
+  const video = embed("iframe", { "data-src": "https://youtube.test/embed/3", "data-consent-vendor": "youtube" });
+  init('["ccpa"]');
+
+  assert.equal(video.getAttribute("src"), "https://youtube.test/embed/3");
+  assert.equal(page.children.length, 1);
+});
+
+test("ConsentEmbeds puts placeholders and loaded embeds back after a patch", () => {
+  mount();
+  const held = embed("iframe", { "data-src": "https://maps.test/c", "data-consent-category": "social" });
+  const once = embed("iframe", { "data-src": "https://youtube.test/embed/4", "data-consent-category": "media" });
+  const required = embed("img", { "data-src": "https://cdn.test/logo.png", "data-consent-category": "necessary" });
+  init();
+  buttons(placeholderOf(once))[0].click();
+  page.querySelectorAll = global.document.querySelectorAll;
+  const wrapper = Object.assign(Object.create(embedsHook), { el: page });
+  wrapper.mounted();
+
+  patch();
+  assert.equal(page.children.length, 3);
+  assert.equal(held.hidden, false);
+  wrapper.updated();
+
+  assert.equal(held.hidden, true);
+  assert.equal(held.getAttribute("src"), null);
+  assert.equal(placeholderOf(held).getAttribute("role"), "group");
+  assert.equal(once.getAttribute("src"), "https://youtube.test/embed/4");
+  assert.equal(required.getAttribute("src"), "https://cdn.test/logo.png");
+  assert.equal(page.children.length, 4);
+});
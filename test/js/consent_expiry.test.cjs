@@ -0,0 +1,150 @@
+"use strict";
+
+// Tests for cookie consent expiry in priv/static/assets/phoenix_kit.js: a
+// stored choice re-prompts once its max age (shorter for a rejection) has
+// passed, and `phx:consent-expiring` warns ahead of that. The bundle is
+// browser code (IIFEs that assign onto `window`), so stub the globals it
+// touches.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+const banner = stubElement();
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: (id) => (id === "pk-consent-banner" ? banner : null),
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+const events = [];
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: (event) => events.push(event),
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: mapStorage(),
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+global.fetch = () => Promise.resolve({ status: 201, ok: true });
+
+require("../../priv/static/assets/phoenix_kit.js");
+const consent = window.PhoenixKitConsent;
+const hook = window.PhoenixKitHooks.CookieConsent;
+const GLOBAL = { scope: "global" };
+const DAY = 86400000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+// Mounts the widget over a choice stored `days` ago.
+function mountWith(granted, days, dataset) {
+  window.PhoenixKit.storage.set(
+    "consent",
+    { necessary: true, analytics: granted, marketing: granted, preferences: granted, timestamp: daysAgo(days) },
+    GLOBAL
+  );
+  window.PhoenixKit.storage.set("consent-version", "1.0", GLOBAL);
+  events.length = 0;
+  banner.style.display = "";
+  hook.destroyed();
+  hook.mounted.call({
+    el: Object.assign(stubElement(), { dataset: Object.assign({ frameworks: '["gdpr"]' }, dataset) }),
+  });
+}
+
+const expiring = () => events.filter((e) => e.type === "phx:consent-expiring");
+
+test("an acceptance younger than a year stands", () => {
+  mountWith(true, 200);
+  assert.equal(consent.hasConsent("analytics"), true);
+  assert.equal(banner.style.display, "none");
+  assert.equal(expiring().length, 0);
+});
+
+test("a rejection expires sooner and brings the banner back", () => {
+  mountWith(false, 200);
+  const [event] = expiring();
+
+  assert.equal(banner.style.display, "block");
+  assert.equal(consent.getConsent(), null);
+  assert.equal(event.detail.expired, true);
+  assert.equal(event.detail.rejected, true);
+});
+
+test("an acceptance past a year is no consent at all", () => {
+  mountWith(true, 400);
+  assert.equal(consent.hasConsent("analytics"), false);
+  assert.equal(banner.style.display, "block");
+  assert.equal(expiring()[0].detail.expired, true);
+});
+
+test("the warning window fires the event before anything expires", () => {
+  mountWith(true, 350);
+  const [event] = expiring();
+
+  assert.equal(consent.hasConsent("analytics"), true);
+  assert.equal(banner.style.display, "none");
+  assert.equal(event.detail.expired, false);
+  assert.equal(Date.parse(event.detail.expiresAt), Date.parse(event.detail.consent.timestamp) + 365 * DAY);
+});
+
+test("max ages come from the config; 0 never expires", () => {
+  mountWith(true, 100, { consentMaxAgeDays: "90" });
+  assert.equal(consent.hasConsent("analytics"), false);
+
+  mountWith(false, 5000, { rejectedMaxAgeDays: "0" });
+  assert.equal(expiring().length, 0);
+  assert.equal(banner.style.display, "none");
+});
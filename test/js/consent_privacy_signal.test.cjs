@@ -0,0 +1,144 @@
+"use strict";
+
+// Tests for the cookie consent module's handling of Global Privacy Control in
+// priv/static/assets/phoenix_kit.js: under CCPA a GPC browser is opted out of
+// marketing, the signal lands in the stored consent, the receipt and Google
+// Consent Mode, and the banner says so. The bundle is browser code (IIFEs
+// that assign onto `window`), so stub the globals it touches.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+const note = stubElement();
+const marketingToggle = { type: "checkbox", checked: true, disabled: false };
+const elements = { "pk-consent-signal": note, "pk-consent-marketing": marketingToggle };
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: (id) => elements[id] || null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: mapStorage(),
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node", globalPrivacyControl: true },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+
+const posts = [];
+global.fetch = (_url, opts) => {
+  posts.push(JSON.parse(opts.body));
+  return Promise.resolve({ status: 201, ok: true });
+};
+
+require("../../priv/static/assets/phoenix_kit.js");
+const consent = window.PhoenixKitConsent;
+const GLOBAL = { scope: "global" };
+
+// A choice made before the browser sent GPC.
+window.PhoenixKit.storage.set(
+  "consent",
+  { necessary: true, analytics: true, marketing: true, preferences: true, timestamp: new Date().toISOString() },
+  GLOBAL
+);
+window.PhoenixKit.storage.set("consent-version", "1.0", GLOBAL);
+
+window.PhoenixKitHooks.CookieConsent.mounted.call({
+  el: Object.assign(stubElement(), {
+    dataset: { frameworks: '["ccpa"]', consentMode: "notice", googleConsentMode: "true" },
+  }),
+});
+
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+test("a stored marketing opt-in is withdrawn and a receipt says why", async () => {
+  await settle();
+  const stored = window.PhoenixKit.storage.get("consent", GLOBAL);
+
+  assert.deepEqual(consent.privacySignal, { gpc: true, dnt: false });
+  assert.equal(stored.marketing, false);
+  assert.equal(stored.analytics, true);
+  assert.deepEqual(stored.privacy_signal, { gpc: true, dnt: false });
+  assert.equal(posts[0].action, "privacy_signal");
+  assert.equal(posts[0].categories.marketing, false);
+  assert.deepEqual(posts[0].privacy_signal, { gpc: true, dnt: false });
+});
+
+test("the banner notes the signal and the marketing toggle is locked off", () => {
+  assert.equal(note.style.display, "block");
+  assert.equal(marketingToggle.checked, false);
+  assert.equal(marketingToggle.disabled, true);
+});
+
+test("accepting everything still leaves marketing off", () => {
+  consent.acceptAll();
+  assert.equal(consent.hasConsent("analytics"), true);
+  assert.equal(consent.hasConsent("marketing"), false);
+  assert.deepEqual(consent.getConsent().privacy_signal, { gpc: true, dnt: false });
+});
+
+test("Google Consent Mode is told: ad storage denied, ad data redacted", () => {
+  const calls = window.dataLayer.map((args) => Array.from(args));
+  const update = calls.filter((c) => c[0] === "consent" && c[1] === "update").pop();
+
+  assert.equal(update[2].ad_storage, "denied");
+  assert.equal(update[2].ad_user_data, "denied");
+  assert.equal(update[2].analytics_storage, "granted");
+  assert.ok(calls.some((c) => c[0] === "set" && c[1] === "ads_data_redaction" && c[2] === true));
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+// Tests for the cookie consent module's server-side receipts in
+// priv/static/assets/phoenix_kit.js: what acceptAll / rejectAll / revokeConsent
+// post, and how the queue treats the server's answers. The bundle is browser
+// code (IIFEs that assign onto `window`), so stub the globals it touches.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+let csrf = "csrf-abc";
+const csrfMeta = { getAttribute: (name) => (name === "content" ? csrf : null) };
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: (sel) => (sel === "meta[name='csrf-token']" ? csrfMeta : null),
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+const local = mapStorage();
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: local,
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = local;
+global.sessionStorage = window.sessionStorage;
+
+// Each post takes the next queued status (201 once the list runs out).
+const posts = [];
+let statuses = [];
+global.fetch = (url, opts) => {
+  posts.push({ url, opts, body: JSON.parse(opts.body) });
+  const status = statuses.length ? statuses.shift() : 201;
+  return Promise.resolve({ status, ok: status >= 200 && status < 300 });
+};
+
+require("../../priv/static/assets/phoenix_kit.js");
+const consent = window.PhoenixKitConsent;
+const storage = window.PhoenixKit.storage;
+
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+const queued = () => storage.get("consent-receipts", { scope: "global" }) || [];
+
+test.beforeEach(() => {
+  posts.length = 0;
+  statuses = [];
+});
+
+test("acceptAll posts a receipt with the page's CSRF token", async () => {
+  consent.acceptAll();
+  await settle();
+
+  assert.equal(posts.length, 1);
+  const { url, opts, body } = posts[0];
+  assert.equal(url, "/phoenix_kit/api/consent-receipt");
+  assert.equal(opts.method, "POST");
+  assert.equal(opts.headers["x-csrf-token"], "csrf-abc");
+  // The :browser pipeline answers an Accept it doesn't list with a 406.
+  assert.equal(opts.headers.accept, undefined);
+  assert.equal(body.action, "accept_all");
+  assert.deepEqual(body.categories, { necessary: true, analytics: true, marketing: true, preferences: true });
+  assert.equal(body.policy_version, "1.0");
+  assert.ok(body.consent_id && body.receipt_id && body.timestamp);
+  assert.deepEqual(queued(), []);
+});
+
+test("every receipt from the browser carries the same consent id, revoke included", async () => {
+  consent.rejectAll();
+  await settle();
+  consent.revokeConsent();
+  await settle();
+
+  assert.deepEqual(posts.map((p) => p.body.action), ["reject_all", "revoke"]);
+  assert.equal(posts[0].body.consent_id, posts[1].body.consent_id);
+  assert.notEqual(posts[0].body.receipt_id, posts[1].body.receipt_id);
+  assert.deepEqual(posts[1].body.categories, { necessary: true, analytics: false, marketing: false, preferences: false });
+});
+
+test("the choice is also kept under pk_consent, in its plain shape, for host scripts", async () => {
+  consent.acceptAll();
+  await settle();
+  assert.equal(JSON.parse(local.getItem("pk_consent")).analytics, true);
+  assert.equal(local.getItem("pk_consent_version"), "1.0");
+
+  consent.revokeConsent();
+  await settle();
+  assert.equal(local.getItem("pk_consent"), null);
+  assert.equal(local.getItem("pk_consent_version"), null);
+});
+
+test("a failed post stays queued and is retried", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  statuses = [503];
+  consent.acceptAll();
+  await settle();
+
+  assert.equal(posts.length, 1);
+  assert.equal(queued().length, 1);
+
+  t.mock.timers.tick(5000);
+  await settle();
+
+  assert.equal(posts.length, 2);
+  assert.equal(posts[1].body.receipt_id, posts[0].body.receipt_id);
+  assert.deepEqual(queued(), []);
+});
+
+test("a 403 stays queued and the retry carries the page's current CSRF token", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  t.after(() => (csrf = "csrf-abc"));
+  csrf = "csrf-before-login";
+  statuses = [403];
+  consent.acceptAll();
+  await settle();
+
+  assert.equal(posts.length, 1);
+  assert.equal(queued().length, 1);
+
+  csrf = "csrf-after-login";
+  t.mock.timers.tick(5000);
+  await settle();
+
+  assert.equal(posts.length, 2);
+  assert.equal(posts[1].body.receipt_id, posts[0].body.receipt_id);
+  assert.equal(posts[1].opts.headers["x-csrf-token"], "csrf-after-login");
+  assert.deepEqual(queued(), []);
+});
+
+test("a receipt the server refuses is dropped, not retried, with a warning", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const warn = t.mock.method(console, "warn", noop);
+  statuses = [422];
+  consent.rejectAll();
+  await settle();
+  t.mock.timers.tick(300000);
+  await settle();
+
+  assert.equal(posts.length, 1);
+  assert.deepEqual(queued(), []);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Receipt refused with 422; dropped/);
+  assert.equal(warn.mock.calls[0].arguments[1].action, "reject_all");
+});
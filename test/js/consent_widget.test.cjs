@@ -0,0 +1,119 @@
+"use strict";
+
+// Tests for the cookie consent widget the bundle injects itself (no
+// server-rendered root) in priv/static/assets/phoenix_kit.js: under a
+// nonce-only style-src every style="" attribute is blocked, so the markup
+// must carry classes only and its one <style> the page nonce. The bundle is
+// browser code (IIFEs that assign onto `window`), so stub the globals it
+// touches and capture the HTML written into the widget's container.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const noop = () => {};
+// The consent module narrates every step through console.debug.
+console.debug = noop;
+
+const written = [];
+
+function stubElement() {
+  const el = {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+  Object.defineProperty(el, "innerHTML", {
+    set(html) {
+      written.push(String(html));
+      el.firstChild = stubElement();
+    },
+  });
+  return el;
+}
+
+const onLoad = [];
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: (type, fn) => type === "DOMContentLoaded" && onLoad.push(fn),
+  removeEventListener: noop,
+  readyState: "loading",
+};
+
+function mapStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  dispatchEvent: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: mapStorage(),
+  sessionStorage: mapStorage(),
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+
+const CONFIG = {
+  enabled: true,
+  frameworks: ["gdpr"],
+  categories: [
+    { id: "necessary", name: "Essential", required: true },
+    { id: "analytics", name: "Analytics", vendors: [{ id: "plausible", name: "Plausible", cookies: ["pl_id"] }] },
+  ],
+};
+
+global.fetch = (url) =>
+  Promise.resolve(
+    url.indexOf("consent-config") !== -1
+      ? { status: 200, ok: true, json: () => Promise.resolve(CONFIG) }
+      : { status: 201, ok: true }
+  );
+
+require("../../priv/static/assets/phoenix_kit.js");
+window.PhoenixKit.configure({ csp: { nonce: "n0nce" }, consent: { available: true } });
+
+test("the injected widget styles itself from its nonce'd stylesheet only", async () => {
+  onLoad.forEach((fn) => fn());
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const html = written.find((chunk) => chunk.indexOf('id="pk-consent-root"') !== -1);
+  assert.ok(html, "widget was injected");
+  assert.match(html, /<style nonce="n0nce">/);
+  assert.doesNotMatch(html, /\sstyle="/);
+  assert.match(html, /class="pk-floating-icon pk-glass pk-icon-bottom-right"/);
+  assert.match(html, /class="pk-vendor"/);
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+// Unit tests for the CSP helpers (window.PhoenixKit.csp: nonce + Trusted
+// Types) in priv/static/assets/phoenix_kit.js. The bundle is browser code
+// (IIFEs that assign onto `window`), so stub the globals it touches at load
+// time, including a minimal `window.trustedTypes`.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+// Wraps values the way the browser's TrustedHTML & co. do, so a test can
+// tell a policy-made value from a plain string.
+const policies = [];
+global.window.trustedTypes = {
+  createPolicy(name, rules) {
+    policies.push(name);
+    return {
+      createHTML: (s) => ({ trusted: "html", value: rules.createHTML(s) }),
+      createScript: (s) => ({ trusted: "script", value: rules.createScript(s) }),
+      createScriptURL: (s) => ({ trusted: "url", value: rules.createScriptURL(s) }),
+    };
+  },
+};
+
+require("../../priv/static/assets/phoenix_kit.js");
+const { csp, configure } = global.window.PhoenixKit;
+
+test("nonce: read from <meta name=csp-nonce> when not configured", () => {
+  const original = global.document.querySelector;
+  global.document.querySelector = (sel) =>
+    sel === 'meta[name="csp-nonce"]' ? { getAttribute: () => "meta-nonce" } : null;
+  try {
+    assert.equal(csp.nonce(), "meta-nonce");
+    const style = csp.applyNonce({});
+    assert.equal(style.nonce, "meta-nonce");
+  } finally {
+    global.document.querySelector = original;
+  }
+});
+
+test("nonce: the csp.nonce option wins, and none leaves elements alone", () => {
+  assert.equal(csp.nonce(), null);
+  assert.equal("nonce" in csp.applyNonce({}), false);
+  configure({ csp: { nonce: "abc123" } });
+  assert.equal(csp.applyNonce({}).nonce, "abc123");
+  configure({ csp: { nonce: null } });
+});
+
+test("Trusted Types: one named policy, created on first use", () => {
+  assert.deepEqual(policies, []);
+  const el = {};
+  csp.setHTML(el, "<b>hi</b>");
+  assert.deepEqual(el.innerHTML, { trusted: "html", value: "<b>hi</b>" });
+  assert.deepEqual(csp.scriptURL("/vendor/x.js"), { trusted: "url", value: "/vendor/x.js" });
+  assert.deepEqual(csp.script("go()"), { trusted: "script", value: "go()" });
+  assert.deepEqual(policies, ["phoenix-kit"]);
+});
@@ -0,0 +1,205 @@
+"use strict";
+
+// Unit tests for the public hook API (window.PhoenixKit.registerHook /
+// extendHook) in priv/static/assets/phoenix_kit.js. The bundle is browser
+// code (IIFEs that assign onto `window`), so stub the globals it touches at
+// load time; hooks are exercised as plain objects, the way LiveView calls them.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+require("../../priv/static/assets/phoenix_kit.js");
+const { registerHook, extendHook } = global.window.PhoenixKit;
+const hooks = global.window.PhoenixKitHooks;
+
+// Collects console.warn output for one call without leaking it to the runner.
+function warnings(fn) {
+  const seen = [];
+  const original = console.warn;
+  console.warn = (msg) => seen.push(msg);
+  try {
+    fn();
+  } finally {
+    console.warn = original;
+  }
+  return seen;
+}
+
+test("registerHook: adds the hook to window.PhoenixKitHooks", () => {
+  const hook = { mounted() {} };
+  assert.equal(registerHook("ApiRegister", hook), hook);
+  assert.equal(hooks.ApiRegister, hook);
+});
+
+test("registerHook: a name collision warns and keeps the existing hook", () => {
+  const first = { mounted() {} };
+  const second = { mounted() {} };
+  registerHook("ApiCollide", first);
+
+  const seen = warnings(() => assert.equal(registerHook("ApiCollide", second), first));
+  assert.equal(hooks.ApiCollide, first);
+  assert.equal(seen.length, 1);
+  assert.match(seen[0], /"ApiCollide" is already registered/);
+
+  assert.deepEqual(warnings(() => registerHook("ApiCollide", first)), [], "same hook again is fine");
+});
+
+test("registerHook: override replaces without a warning", () => {
+  const first = { mounted() {} };
+  const second = { mounted() {} };
+  registerHook("ApiOverride", first);
+  assert.deepEqual(warnings(() => registerHook("ApiOverride", second, { override: true })), []);
+  assert.equal(hooks.ApiOverride, second);
+});
+
+test("registerHook: collides with hooks the bundle itself defines", () => {
+  const seen = warnings(() => registerHook("SortableGrid", { mounted() {} }));
+  assert.equal(seen.length, 1);
+});
+
+test("extendHook: runs before and after middleware around the original, in place", () => {
+  const calls = [];
+  const hook = {
+    mounted() {
+      calls.push("mounted:" + this.id);
+    },
+  };
+  registerHook("ApiExtend", hook);
+  const view = { id: "a" };
+  const spread = { ...hooks }; // what the host already handed LiveSocket
+
+  extendHook("ApiExtend", {
+    before: { mounted() { calls.push("before:" + this.id); } },
+    after: { mounted() { calls.push("after:" + this.id); } },
+  });
+
+  spread.ApiExtend.mounted.call(view);
+  assert.deepEqual(calls, ["before:a", "mounted:a", "after:a"]);
+});
+
+test("extendHook: before returning false skips the original and after", () => {
+  const calls = [];
+  registerHook("ApiVeto", {
+    updated() {
+      calls.push("updated");
+    },
+  });
+  extendHook("ApiVeto", {
+    before: { updated: () => false },
+    after: { updated: () => calls.push("after") },
+  });
+  hooks.ApiVeto.updated.call({});
+  assert.deepEqual(calls, []);
+});
+
+test("extendHook: adds callbacks the hook did not have", () => {
+  const calls = [];
+  registerHook("ApiMissing", { mounted() {} });
+  extendHook("ApiMissing", { after: { destroyed: () => calls.push("destroyed") } });
+  hooks.ApiMissing.destroyed.call({});
+  assert.deepEqual(calls, ["destroyed"]);
+});
+
+test("extendHook: a throwing middleware is logged, not fatal", () => {
+  const calls = [];
+  registerHook("ApiThrow", {
+    mounted() {
+      calls.push("mounted");
+    },
+  });
+  extendHook("ApiThrow", {
+    before: {
+      mounted() {
+        throw new Error("analytics down");
+      },
+    },
+  });
+  const original = console.error;
+  console.error = () => calls.push("logged");
+  try {
+    hooks.ApiThrow.mounted.call({});
+  } finally {
+    console.error = original;
+  }
+  assert.deepEqual(calls, ["logged", "mounted"]);
+});
+
+test("extendHook: waits for a hook registered later, and can be removed", () => {
+  const calls = [];
+  const remove = extendHook("ApiLater", { after: { mounted: () => calls.push("after") } });
+  registerHook("ApiLater", {
+    mounted() {
+      calls.push("mounted");
+    },
+  });
+  hooks.ApiLater.mounted.call({});
+  remove();
+  hooks.ApiLater.mounted.call({});
+  assert.deepEqual(calls, ["mounted", "after", "mounted"]);
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+// Unit tests for the client-side message catalog (window.PhoenixKit.i18n) in
+// priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+const { formatBytes, formatDuration } = require("../../priv/static/assets/phoenix_kit.js");
+const { i18n, configure } = global.window.PhoenixKit;
+
+// Each test picks its own locale; reset to the built-in English afterwards.
+function inLocale(locale, fn) {
+  i18n.setLocale(locale);
+  try {
+    fn();
+  } finally {
+    configure({ locale: null });
+  }
+}
+
+test("t: built-in English with placeholders filled", () => {
+  assert.equal(i18n.locale(), "en");
+  assert.equal(i18n.t("time_ago.just_now"), "just now");
+  assert.equal(i18n.t("time_ago.minutes", { count: 5 }), "5m ago");
+  assert.equal(i18n.t("etcher.comments", { count: 1 }), "1 comment");
+  assert.equal(i18n.t("etcher.comments", { count: 3 }), "3 comments");
+});
+
+test("t: an unknown key reads as itself, an unfilled placeholder stays", () => {
+  assert.equal(i18n.t("no.such.key"), "no.such.key");
+  assert.equal(i18n.t("time_ago.minutes"), "{count}m ago");
+});
+
+test("t: picks the plural category through Intl.PluralRules", () => {
+  i18n.addMessages("pl", {
+    "etcher.comments": {
+      one: "{count} komentarz",
+      few: "{count} komentarze",
+      many: "{count} komentarzy",
+      other: "{count} komentarza",
+    },
+  });
+  inLocale("pl", () => {
+    assert.equal(i18n.t("etcher.comments", { count: 1 }), "1 komentarz");
+    assert.equal(i18n.t("etcher.comments", { count: 3 }), "3 komentarze");
+    assert.equal(i18n.t("etcher.comments", { count: 5 }), "5 komentarzy");
+    assert.equal(i18n.t("etcher.comments", { count: 22 }), "22 komentarze");
+  });
+});
+
+test("t: exact locale, then its language, then English", () => {
+  i18n.addMessages("pt", { "time_ago.just_now": "agora", "upload.left": "restante" });
+  i18n.addMessages("pt_BR", { "time_ago.just_now": "agorinha" });
+  inLocale("pt_BR", () => {
+    assert.equal(i18n.locale(), "pt-BR");
+    assert.equal(i18n.t("time_ago.just_now"), "agorinha");
+    assert.equal(i18n.t("upload.left"), "restante");
+    assert.equal(i18n.t("markdown.link_text"), "link text");
+  });
+});
+
+test("t: a catalog missing the count's category falls back to its other", () => {
+  i18n.addMessages("de", { "etcher.comments": { other: "{count} Kommentare" } });
+  inLocale("de", () => {
+    assert.equal(i18n.t("etcher.comments", { count: 1 }), "1 Kommentare");
+  });
+});
+
+test("UploadStats units follow the locale", () => {
+  i18n.addMessages("fr", { "bytes.mb": "{size} Mo", "duration.seconds": "{count} s" });
+  inLocale("fr", () => {
+    assert.equal(formatBytes(12_400_000), "12.4 Mo");
+    assert.equal(formatDuration(3400), "3 s");
+    assert.equal(formatDuration(72_000), "1m 12 s");
+  });
+  assert.equal(formatBytes(12_400_000), "12.4 MB");
+});
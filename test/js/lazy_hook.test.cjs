@@ -0,0 +1,185 @@
+"use strict";
+
+// Unit tests for lazyHook, the proxy the lazily-loaded vendor hooks (Leaf,
+// Fresco, Tessera, Etcher) are built from, in priv/static/assets/phoenix_kit.js.
+// The bundle is browser code (IIFEs that assign onto `window`), so stub the
+// globals it touches at load time. Script loading is driven by hand: the
+// stubbed <head> captures each injected <script> and the test fires its onload.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+const { lazyHook } = require("../../priv/static/assets/phoenix_kit.js");
+
+const injected = [];
+global.document.head.appendChild = (script) => injected.push(script);
+
+let assetId = 0;
+
+// A fresh library per test, so the loader's per-name state never leaks
+// between cases. `arrive()` defines the global and fires the pending onload.
+function library() {
+  const lib = { loaded: false, calls: [] };
+  lib.asset = {
+    name: "lib" + ++assetId,
+    label: "Test",
+    file: "lib.js",
+    cdn: "https://cdn.example/lib" + assetId + ".js",
+    ready: () => lib.loaded,
+  };
+  lib.real = {};
+  ["mounted", "beforeUpdate", "updated", "destroyed", "disconnected", "reconnected"].forEach((name) => {
+    lib.real[name] = function () {
+      lib.calls.push(name);
+      lib.lastThis = this;
+    };
+  });
+  lib.real.helper = function () {
+    return "helped";
+  };
+  lib.hook = lazyHook(lib.asset, () => lib.real);
+  lib.arrive = () => {
+    lib.loaded = true;
+    const script = injected.find((s) => s.src === lib.asset.cdn);
+    script.onload();
+  };
+  return lib;
+}
+
+// What LiveView does: copy the hook's callbacks onto a per-element instance.
+function instance(hook, el) {
+  return Object.assign({ el: el || { isConnected: true } }, hook);
+}
+
+test("lazyHook: exposes every lifecycle callback up front", () => {
+  const { hook } = library();
+  ["mounted", "beforeUpdate", "updated", "destroyed", "disconnected", "reconnected"].forEach((name) => {
+    assert.equal(typeof hook[name], "function", name);
+  });
+});
+
+test("lazyHook: forwards straight through once the library is present", () => {
+  const lib = library();
+  lib.loaded = true;
+  const view = instance(lib.hook);
+  view.mounted();
+  view.updated();
+  view.destroyed();
+  assert.deepEqual(lib.calls, ["mounted", "updated", "destroyed"]);
+  assert.equal(lib.lastThis, view);
+  assert.equal(view.helper(), "helped", "non-lifecycle methods are copied");
+});
+
+test("lazyHook: queues calls made during the download and replays the latest updated", () => {
+  const lib = library();
+  const view = instance(lib.hook);
+  view.mounted();
+  view.beforeUpdate();
+  view.updated();
+  view.disconnected();
+  view.updated();
+  view.reconnected();
+  view.updated();
+  assert.deepEqual(lib.calls, []);
+
+  lib.arrive();
+  assert.deepEqual(lib.calls, ["mounted", "disconnected", "reconnected", "updated"]);
+});
+
+test("lazyHook: skips an element destroyed before the library arrives", () => {
+  const lib = library();
+  const view = instance(lib.hook);
+  view.mounted();
+  view.updated();
+  view.destroyed();
+  lib.arrive();
+  assert.deepEqual(lib.calls, []);
+});
+
+test("lazyHook: skips an element detached before the library arrives", () => {
+  const lib = library();
+  const el = { isConnected: true };
+  const view = instance(lib.hook, el);
+  view.mounted();
+  el.isConnected = false;
+  lib.arrive();
+  view.destroyed();
+  assert.deepEqual(lib.calls, []);
+});
+
+test("lazyHook: destroyed reaches the real hook exactly once", () => {
+  const lib = library();
+  const view = instance(lib.hook);
+  view.mounted();
+  lib.arrive();
+  view.destroyed();
+  view.destroyed();
+  view.updated();
+  assert.deepEqual(lib.calls, ["mounted", "destroyed"]);
+});
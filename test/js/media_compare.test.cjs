@@ -0,0 +1,190 @@
+"use strict";
+
+// Unit tests for MediaCompare's divider keys, and where the zoom controls
+// of its images go, in priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; the
+// hooks mounted below get a small fake DOM of their own.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+  getComputedStyle: () => ({ position: "relative" }),
+  // Already "loaded", so MediaImageZoom attaches at once.
+  Panzoom: () => ({ zoomWithWheel: noop, getOptions: () => ({}), reset: noop, destroy: noop }),
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+const { dividerKey } = require("../../priv/static/assets/phoenix_kit.js");
+const { MediaCompare, MediaImageZoom } = global.window.PhoenixKitHooks;
+
+// --- fake DOM -------------------------------------------------------------
+
+class El {
+  constructor(attrs) {
+    this.attrs = Object.assign({}, attrs);
+    this.children = [];
+    this.parentNode = null;
+    this.dataset = {};
+    this.style = { setProperty: noop };
+    this.classList = { add: noop, remove: noop, contains: () => false };
+  }
+  get parentElement() { return this.parentNode; }
+  get isConnected() { return true; }
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    this.children.push(node);
+    node.parentNode = this;
+    return node;
+  }
+  removeChild(node) {
+    this.children.splice(this.children.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+  setAttribute(k, v) { this.attrs[k] = String(v); }
+  getAttribute(k) { return k in this.attrs ? this.attrs[k] : null; }
+  addEventListener() {}
+  removeEventListener() {}
+  // `[name="value"]` or `[name]`; "dialog" matches nothing here.
+  matches(sel) {
+    const m = /^\[([\w-]+)(?:="(.*)")?\]$/.exec(sel);
+    return !!m && (m[2] === undefined ? m[1] in this.attrs : this.attrs[m[1]] === m[2]);
+  }
+  closest(sel) {
+    for (let n = this; n; n = n.parentNode) if (n.matches(sel)) return n;
+    return null;
+  }
+  // Only the `[layer] img` lookup MediaCompare makes.
+  querySelector(sel) {
+    const [layer] = sel.split(" ");
+    const found = this.children.find((c) => c.matches(layer));
+    return (found && found.children.find((c) => c.attrs.tag === "img")) || null;
+  }
+}
+
+// The documented markup: the "after" image keeps its controls.
+function compare() {
+  const root = new El({ "phx-hook": "MediaCompare" });
+  const imgs = ["before", "after"].map((name) => {
+    const layer = root.appendChild(new El({ "data-compare-layer": name }));
+    const img = layer.appendChild(new El({ tag: "img", "phx-hook": "MediaImageZoom" }));
+    if (name === "before") img.dataset.zoomControls = "off";
+    return img;
+  });
+  return { root, before: imgs[0], after: imgs[1] };
+}
+
+function mount(base, el) {
+  const hook = Object.assign(Object.create(base), { el });
+  hook.mounted();
+  return hook;
+}
+
+test("arrows nudge the divider a point, Shift a bigger step", () => {
+  assert.equal(dividerKey(50, "ArrowRight", false), 51);
+  assert.equal(dividerKey(50, "ArrowLeft", false), 49);
+  assert.equal(dividerKey(50, "ArrowUp", true), 60);
+  assert.equal(dividerKey(50, "ArrowDown", true), 40);
+});
+
+test("Page Up/Down step by ten, Home and End go to the edges", () => {
+  assert.equal(dividerKey(50, "PageUp", false), 60);
+  assert.equal(dividerKey(50, "PageDown", false), 40);
+  assert.equal(dividerKey(37, "Home", false), 0);
+  assert.equal(dividerKey(37, "End", false), 100);
+});
+
+test("the divider stays between 0 and 100", () => {
+  assert.equal(dividerKey(95, "PageUp", false), 100);
+  assert.equal(dividerKey(0.5, "ArrowLeft", false), 0);
+});
+
+test("other keys are left alone", () => {
+  assert.equal(dividerKey(50, "Enter", false), null);
+  assert.equal(dividerKey(50, " ", false), null);
+});
+
+test("the zoom controls sit on the comparison, outside the clipped layer", () => {
+  const createElement = global.document.createElement;
+  global.document.createElement = () => new El();
+  try {
+    const { root, before, after } = compare();
+    const zoom = mount(MediaImageZoom, after);
+    mount(MediaImageZoom, before);
+    const hook = mount(MediaCompare, root);
+
+    assert.equal(zoom._toolbar.parentNode, root);
+    assert.equal(zoom._minimap.parentNode, root);
+    assert.equal(root.children.filter((c) => c === zoom._toolbar).length, 1);
+
+    // A patch that drops them gets them back.
+    root.removeChild(zoom._toolbar);
+    root.removeChild(hook._divider);
+    hook.updated();
+    assert.equal(zoom._toolbar.parentNode, root);
+    assert.equal(hook._divider.parentNode, root);
+  } finally {
+    global.document.createElement = createElement;
+  }
+});
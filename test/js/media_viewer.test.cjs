@@ -0,0 +1,135 @@
+"use strict";
+
+// Unit tests for MediaViewerDialog's swipe maths in
+// priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests (the slideshow ones run
+// on a bare context object).
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+const { rubberBand, swipeKey } = require("../../priv/static/assets/phoenix_kit.js");
+
+test("rubberBand follows at about half speed, then stiffens, never past the size", () => {
+  assert.equal(rubberBand(0, 400), 0);
+  assert.ok(Math.abs(rubberBand(10, 400) - 5.5) < 0.2);
+  assert.ok(rubberBand(400, 400) < 200);
+  assert.ok(rubberBand(100000, 400) < 400);
+  assert.equal(rubberBand(-50, 400), -rubberBand(50, 400));
+  assert.equal(rubberBand(50, 0), 0);
+});
+
+test("swipeKey: a long horizontal swipe steps, left for next", () => {
+  assert.equal(swipeKey(-80, 0, 600), "ArrowRight");
+  assert.equal(swipeKey(80, 0, 600), "ArrowLeft");
+});
+
+test("swipeKey: a short swipe counts only when it is quick", () => {
+  assert.equal(swipeKey(-40, 0, 600), null);
+  assert.equal(swipeKey(-40, 0, 60), "ArrowRight");
+  assert.equal(swipeKey(-15, 0, 5), null);
+});
+
+test("swipeKey: down closes, up does nothing", () => {
+  assert.equal(swipeKey(0, 90, 400), "Escape");
+  assert.equal(swipeKey(0, -90, 400), null);
+  assert.equal(swipeKey(0, 0, 400), null);
+});
+
+// Slideshow ticks, driven on a bare hook context (no timers started).
+function slideshowContext(hasNext, held) {
+  const pushed = [];
+  const ctx = Object.assign(Object.create(window.PhoenixKitHooks.MediaViewerDialog), {
+    el: {
+      querySelector: (sel) => (sel === '[phx-value-dir="next"]' && hasNext ? {} : null),
+      querySelectorAll: () => [],
+    },
+    pushEventTo: (_el, event, payload) => pushed.push([event, payload]),
+    _slideshow: { timer: null, held: Object.assign({ hover: false, focus: false }, held) },
+  });
+  return { ctx, pushed };
+}
+
+test("slideshow tick steps through the ArrowRight keydown path", () => {
+  const { ctx, pushed } = slideshowContext(true, {});
+  ctx._slideshowTick();
+  assert.deepEqual(pushed, [["viewer_keydown", { key: "ArrowRight" }]]);
+});
+
+test("slideshow tick waits while hovered or focused, and stops at the last file", () => {
+  for (const held of [{ hover: true }, { focus: true }]) {
+    const { ctx, pushed } = slideshowContext(true, held);
+    ctx._slideshowTick();
+    assert.equal(pushed.length, 0);
+  }
+
+  const { ctx, pushed } = slideshowContext(false, {});
+  ctx._slideshowTick();
+  assert.equal(pushed.length, 0);
+  assert.equal(ctx._slideshow, null);
+});
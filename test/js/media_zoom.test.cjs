@@ -0,0 +1,96 @@
+"use strict";
+
+// Unit tests for MediaImageZoom's minimap maths in
+// priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+const { minimapView } = require("../../priv/static/assets/phoenix_kit.js");
+
+const rect = (left, top, width, height) => ({ left, top, right: left + width, bottom: top + height });
+
+test("fitted: the whole image is in view", () => {
+  assert.deepEqual(minimapView(rect(0, 0, 800, 600), rect(0, 50, 800, 500)), { left: 0, top: 0, width: 1, height: 1 });
+});
+
+test("zoomed 4x on the centre: the middle quarter", () => {
+  // An 800x600 image at 4x, centred on an 800x600 frame.
+  const v = minimapView(rect(0, 0, 800, 600), rect(-1200, -900, 3200, 2400));
+  assert.deepEqual(v, { left: 0.375, top: 0.375, width: 0.25, height: 0.25 });
+});
+
+test("panned to a corner: the box stops at the image's edge", () => {
+  const v = minimapView(rect(0, 0, 800, 600), rect(100, 100, 1600, 1200));
+  assert.deepEqual(v, { left: 0, top: 0, width: 0.4375, height: 0.4166666666666667 });
+});
+
+test("an image with no size yet reads as wholly in view", () => {
+  assert.deepEqual(minimapView(rect(0, 0, 800, 600), rect(0, 0, 0, 0)), { left: 0, top: 0, width: 1, height: 1 });
+});
@@ -0,0 +1,192 @@
+"use strict";
+
+// Unit tests for the positioning engine (window.PhoenixKit.position) in
+// priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+global.window.innerWidth = 1000;
+global.window.innerHeight = 800;
+global.window.getComputedStyle = (el) => el._style || { overflow: "visible", overflowX: "visible", overflowY: "visible" };
+
+const { computePosition } = require("../../priv/static/assets/phoenix_kit.js");
+const position = global.window.PhoenixKit.position;
+
+function rect(left, top, width, height) {
+  return { left, top, width, height, right: left + width, bottom: top + height };
+}
+
+const menu = { width: 160, height: 200 };
+
+test("places below the anchor, aligned to the requested edge", () => {
+  const r = computePosition(rect(500, 100, 40, 20), menu, { placement: "bottom-end", offset: 4 });
+  assert.equal(r.placement, "bottom-end");
+  assert.equal(r.x, 540 - 160);
+  assert.equal(r.y, 124);
+
+  const start = computePosition(rect(500, 100, 40, 20), menu, { placement: "bottom-start" });
+  assert.equal(start.x, 500);
+
+  const center = computePosition(rect(500, 100, 40, 20), menu, { placement: "bottom" });
+  assert.equal(center.x, 520 - 80);
+});
+
+test("flips to the opposite side when that has more room", () => {
+  const r = computePosition(rect(500, 700, 40, 20), menu, { placement: "bottom-end", offset: 4 });
+  assert.equal(r.placement, "top-end");
+  assert.equal(r.y, 700 - 4 - 200);
+
+  const stays = computePosition(rect(500, 700, 40, 20), menu, { placement: "bottom-end", flip: false, shift: false });
+  assert.equal(stays.side, "bottom");
+
+  // Not enough room on either side, but less above: stay, and shift back in.
+  const tight = computePosition(rect(500, 150, 40, 20), { width: 160, height: 700 }, { placement: "bottom" });
+  assert.equal(tight.side, "bottom");
+  assert.equal(tight.y, 800 - 8 - 700);
+});
+
+test("shifts into the boundary, start edge winning when it cannot fit", () => {
+  const r = computePosition(rect(10, 100, 40, 20), menu, { placement: "bottom-end" });
+  assert.equal(r.x, 8);
+
+  const right = computePosition(rect(980, 100, 20, 20), menu, { placement: "bottom-start" });
+  assert.equal(right.x, 1000 - 8 - 160);
+
+  const wide = computePosition(rect(500, 100, 40, 20), { width: 2000, height: 10 }, { placement: "bottom" });
+  assert.equal(wide.x, 8);
+});
+
+test("measures against a given boundary and reports the room left", () => {
+  const card = { top: 200, left: 100, right: 600, bottom: 500 };
+  const r = computePosition(rect(300, 420, 40, 20), menu, { placement: "bottom", boundary: card, padding: 0 });
+  assert.equal(r.side, "top");
+  assert.equal(r.available.height, 220);
+
+  const side = computePosition(rect(300, 300, 40, 20), menu, { placement: "right", offset: 0, padding: 0 });
+  assert.equal(side.x, 340);
+  assert.equal(side.y, 310 - 100);
+});
+
+test("centers the arrow on the anchor, kept off the corners", () => {
+  const r = computePosition(rect(500, 100, 40, 20), menu, {
+    placement: "bottom-end",
+    arrow: { width: 10, height: 10 }
+  });
+  assert.equal(r.arrow.x, 520 - r.x - 5);
+  assert.equal(r.arrow.y, null);
+
+  const edge = computePosition(rect(0, 100, 4, 20), menu, {
+    placement: "bottom-start",
+    arrow: { width: 10, height: 10 }
+  });
+  assert.equal(edge.arrow.x, 4);
+});
+
+function box(r, extra) {
+  const attrs = {};
+  return Object.assign(
+    {
+      nodeType: 1,
+      style: {},
+      parentElement: null,
+      offsetWidth: r.width,
+      offsetHeight: r.height,
+      getBoundingClientRect: () => r,
+      setAttribute: (k, v) => (attrs[k] = v),
+      getAttribute: (k) => attrs[k],
+      addEventListener: noop,
+      removeEventListener: noop,
+    },
+    extra
+  );
+}
+
+test("place writes coordinates relative to the containing block", () => {
+  const anchor = box(rect(500, 100, 40, 20));
+  // A transformed ancestor puts the fixed-position origin at 50,30.
+  const floating = box(rect(50, 30, 160, 200));
+  const r = position.place(anchor, floating, { placement: "bottom-end", offset: 4 });
+  assert.equal(floating.style.left, r.x - 50 + "px");
+  assert.equal(floating.style.top, r.y - 30 + "px");
+  assert.equal(floating.getAttribute("data-placement"), "bottom-end");
+  assert.equal(floating.style.visibility, "");
+});
+
+test("place hides the element while its anchor is scrolled out of its container", () => {
+  const card = box(rect(0, 300, 1000, 200), {
+    _style: { overflow: "auto", overflowX: "auto", overflowY: "auto" },
+  });
+  const anchor = box(rect(500, 250, 40, 20), { parentElement: card });
+  const floating = box(rect(0, 0, 160, 200));
+  assert.equal(position.place(anchor, floating, {}).anchorHidden, true);
+  assert.equal(floating.style.visibility, "hidden");
+  assert.deepEqual(position.scrollParents(anchor), [card]);
+});
@@ -0,0 +1,774 @@
+"use strict";
+
+// Unit tests for the SortableGrid hook in priv/static/assets/phoenix_kit.js
+// — keyboard reordering, multi-item moves, rollback, the native pointer
+// engine. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time, then
+// hand the hook a small fake DOM: just enough tree to move nodes around in.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: noop,
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+const storage = {
+  getItem: () => null,
+  setItem: noop,
+  removeItem: noop,
+  key: () => null,
+  length: 0,
+};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: noop,
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: storage,
+  sessionStorage: storage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = storage;
+global.sessionStorage = storage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+
+// SortableJS already "loaded", so mounting never injects a <script>. The
+// options it is created with are kept, to drive onStart/onEnd by hand.
+// Containers with data-sortable-engine="native" get the built-in engine.
+let sortableOpts = null;
+global.window.Sortable = { create: (el, opts) => ((sortableOpts = opts), { destroy: noop }) };
+
+const { insertionIndex } = require("../../priv/static/assets/phoenix_kit.js");
+const SortableGrid = global.window.PhoenixKitHooks.SortableGrid;
+global.window.PhoenixKit.configure({ sortable: { engine: "sortablejs" } });
+
+// Document-level listeners, which the native engine drags with.
+const docListeners = {};
+global.document.addEventListener = (type, fn) => (docListeners[type] = docListeners[type] || []).push(fn);
+global.document.removeEventListener = (type, fn) => {
+  docListeners[type] = (docListeners[type] || []).filter((f) => f !== fn);
+};
+
+// --- fake DOM -------------------------------------------------------------
+
+class El {
+  constructor(attrs) {
+    this.children = [];
+    this.parentElement = null;
+    this.dataset = Object.assign({}, attrs && attrs.dataset);
+    this.attrs = {};
+    this.classes = new Set(((attrs && attrs.class) || "").split(" ").filter(Boolean));
+    this.listeners = {};
+    this.textContent = (attrs && attrs.text) || "";
+    this.checked = !!(attrs && attrs.checked);
+    this.style = {};
+    this.classList = {
+      add: (...c) => c.forEach((x) => this.classes.add(x)),
+      remove: (...c) => c.forEach((x) => this.classes.delete(x)),
+      contains: (c) => this.classes.has(c),
+    };
+  }
+  get parentNode() { return this.parentElement; }
+  get firstElementChild() { return this.children[0] || null; }
+  get nextElementSibling() { return this.nextSibling; }
+  // A one-column list: each item on its own row.
+  get offsetTop() { return this.parentElement ? this.parentElement.children.indexOf(this) * 40 : 0; }
+  get nextSibling() {
+    const p = this.parentElement;
+    return p ? p.children[p.children.indexOf(this) + 1] || null : null;
+  }
+  get isConnected() {
+    let n = this;
+    while (n.parentElement) n = n.parentElement;
+    return n === body;
+  }
+  insertBefore(node, ref) {
+    if (ref === node) ref = node.nextSibling; // as the DOM spec does
+    if (node.parentElement) node.parentElement.children.splice(node.parentElement.children.indexOf(node), 1);
+    const i = ref ? this.children.indexOf(ref) : this.children.length;
+    this.children.splice(i, 0, node);
+    node.parentElement = this;
+    return node;
+  }
+  appendChild(node) { return this.insertBefore(node, null); }
+  removeChild(node) {
+    this.children.splice(this.children.indexOf(node), 1);
+    node.parentElement = null;
+    return node;
+  }
+  descendants() { return this.children.flatMap((c) => [c, ...c.descendants()]); }
+  querySelectorAll(sel) {
+    if (sel === "[id]") return this.descendants().filter((e) => e.id);
+    assert.equal(sel, ".sortable-item[data-id]");
+    return this.descendants().filter((e) => e.classes.has("sortable-item") && e.dataset.id);
+  }
+  querySelector(sel) {
+    if (sel === "[data-tree-indent]") return this.descendants().find((e) => e.dataset.treeIndent) || null;
+    assert.equal(sel, 'input[type="checkbox"]:checked');
+    return this.descendants().find((e) => e.checked) || null;
+  }
+  setAttribute(k, v) { this.attrs[k] = String(v); }
+  getAttribute(k) { return k in this.attrs ? this.attrs[k] : null; }
+  hasAttribute(k) { return k in this.attrs; }
+  removeAttribute(k) { delete this.attrs[k]; if (k === "id") delete this.id; }
+  matches(sel) { return sel.startsWith(".") && this.classes.has(sel.slice(1)); }
+  cloneNode() {
+    const copy = new El({ dataset: this.dataset, class: [...this.classes].join(" "), text: this.textContent });
+    copy.id = this.id;
+    this.children.forEach((c) => copy.appendChild(c.cloneNode()));
+    return copy;
+  }
+  addEventListener(type, fn) { (this.listeners[type] = this.listeners[type] || []).push(fn); }
+  removeEventListener(type, fn) { this.listeners[type] = (this.listeners[type] || []).filter((f) => f !== fn); }
+  focus() { focused = this; }
+  // Laid out like offsetTop, 100px wide, unless a test pins a rect.
+  getBoundingClientRect() {
+    return this.rect || { left: 0, right: 100, top: this.offsetTop, bottom: this.offsetTop + 40, width: 100, height: 40 };
+  }
+}
+
+const body = new El();
+let focused = null;
+
+global.document.body = body;
+Object.defineProperty(global.document, "activeElement", { get: () => focused });
+global.document.createElement = () => new El();
+global.document.getElementById = (id) => body.descendants().find((e) => e.id === id) || null;
+global.document.querySelectorAll = (sel) => {
+  const byId = /^\[data-id="(.*)"\]$/.exec(sel);
+  if (byId) return body.descendants().filter((e) => e.dataset.id === byId[1]);
+  const pages = /^\[data-sortable-pages="(.*)"\] \[data-sortable-page\]$/.exec(sel);
+  if (pages) {
+    return body.descendants()
+      .filter((e) => e.dataset.sortablePages === pages[1])
+      .flatMap((e) => e.descendants().filter((d) => d.dataset.sortablePage));
+  }
+  assert.equal(sel, "[data-sortable-group]");
+  return body.descendants().filter((e) => e.dataset.sortableGroup);
+};
+
+function press(el, key, shiftKey) {
+  const e = { key, shiftKey: !!shiftKey, target: el, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+  for (let n = el; n; n = n.parentElement) (n.listeners.keydown || []).forEach((fn) => fn(e));
+  return e;
+}
+
+// ids ending in "*" get a checked row checkbox. No ack timeout unless a
+// test asks for one, so no timer outlives its test.
+function container(ids, dataset) {
+  const c = new El({ dataset: Object.assign({ sortableAckTimeout: "0" }, dataset) });
+  ids.forEach((raw) => {
+    const id = raw.replace("*", "");
+    const row = c.appendChild(new El({ class: "sortable-item", dataset: { id }, text: "Item " + id }));
+    row.appendChild(new El({ checked: raw.endsWith("*") }));
+  });
+  body.appendChild(c);
+  return c;
+}
+
+// A nested container: `rows` are [id, depth] in display order, each with a
+// tree_name_cell-style indent element.
+function tree(rows, dataset) {
+  const c = new El({ dataset: Object.assign({ sortableAckTimeout: "0", sortableNested: "true" }, dataset) });
+  rows.forEach(([id, depth]) => {
+    const row = c.appendChild(new El({ class: "sortable-item", dataset: { id, depth: String(depth) }, text: "Item " + id }));
+    row.appendChild(new El({ dataset: { treeIndent: "1.5rem" } }));
+  });
+  body.appendChild(c);
+  return c;
+}
+
+// `pushed` entries keep their reply callback non-enumerably, so payload
+// assertions stay deepEqual-able.
+function mount(el) {
+  const pushed = [];
+  const handlers = {};
+  const record = (entry, onReply) => {
+    Object.defineProperty(entry, "reply", { value: onReply });
+    pushed.push(entry);
+  };
+  const hook = Object.create(SortableGrid);
+  Object.assign(hook, {
+    el,
+    handleEvent: (name, fn) => (handlers[name] = fn),
+    pushEvent: (event, payload, onReply) => record({ event, payload }, onReply),
+    pushEventTo: (target, event, payload, onReply) => record({ target, event, payload }, onReply),
+  });
+  hook.mounted();
+  return { hook, pushed, handlers };
+}
+
+const ids = (c) => c.children.map((e) => e.dataset.id);
+const item = (c, id) => c.children.find((e) => e.dataset.id === id);
+const depths = (c) => c.children.map((e) => e.dataset.id + ":" + e.dataset.depth);
+const status = () => global.document.getElementById("pk-sortable-status").textContent;
+
+// --- tests ----------------------------------------------------------------
+
+test("items become tab stops described by the instructions", () => {
+  const c = container(["a", "b"], { sortableEvent: "reorder" });
+  mount(c);
+  assert.equal(item(c, "a").getAttribute("tabindex"), "0");
+  assert.equal(item(c, "a").getAttribute("aria-describedby"), "pk-sortable-instructions");
+  assert.ok(global.document.getElementById("pk-sortable-instructions"));
+});
+
+test("pick up, move, drop: announces each step and pushes the reorder payload", () => {
+  const c = container(["a", "b", "c"], { sortableEvent: "reorder" });
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+
+  assert.equal(press(a, " ").defaultPrevented, true);
+  assert.ok(a.classes.has("sortable-chosen"));
+  assert.equal(status(), "Picked up Item a. Position 1 of 3.");
+
+  press(a, "ArrowDown");
+  press(a, "ArrowDown");
+  assert.deepEqual(ids(c), ["b", "c", "a"]);
+  assert.equal(focused, a);
+  assert.equal(status(), "Item a moved to position 3 of 3.");
+
+  press(a, "Enter");
+  assert.ok(!a.classes.has("sortable-chosen"));
+  assert.equal(status(), "Item a dropped at position 3 of 3.");
+  assert.deepEqual(pushed, [{ event: "reorder", payload: { ordered_ids: ["b", "c", "a"], moved_id: "a", moved_ids: ["a"] } }]);
+});
+
+test("Escape puts the item back and sends nothing", () => {
+  const c = container(["a", "b", "c"], {});
+  const { pushed } = mount(c);
+  const b = item(c, "b");
+  press(b, "Enter");
+  press(b, "ArrowUp");
+  assert.deepEqual(ids(c), ["b", "a", "c"]);
+  press(b, "Escape");
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+  assert.equal(status(), "Reorder cancelled. Item b returned to position 2.");
+  assert.deepEqual(pushed, []);
+});
+
+test("a key on another item puts the held one back and sends nothing", () => {
+  const c = container(["a", "b", "c"], {});
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  press(a, "ArrowDown");
+  assert.deepEqual(ids(c), ["b", "a", "c"]);
+  const other = item(c, "c");
+  other.focus();
+  press(other, "ArrowDown");
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+  assert.ok(!a.classes.has("sortable-chosen"));
+  assert.equal(focused, other);
+  assert.deepEqual(pushed, []);
+});
+
+test("focus leaving the held item puts it back; a move's refocus doesn't", async () => {
+  const c = container(["a", "b", "c"], {});
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  const blur = () => (a.listeners.focusout || []).forEach((fn) => fn({ target: a }));
+  const tick = () => new Promise((r) => setTimeout(r, 0));
+  a.focus();
+  press(a, " ");
+  press(a, "ArrowDown");
+  blur();
+  await tick();
+  assert.ok(a.classes.has("sortable-chosen"));
+
+  focused = body;
+  blur();
+  await tick();
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+  assert.ok(!a.classes.has("sortable-chosen"));
+  assert.equal(focused, body);
+  assert.deepEqual(a.listeners.focusout, []);
+  assert.deepEqual(pushed, []);
+});
+
+test("dropping where it started sends nothing", () => {
+  const c = container(["a", "b"], {});
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  press(a, "ArrowUp");
+  press(a, " ");
+  assert.deepEqual(pushed, []);
+});
+
+test("moving past the edge crosses into the next container of the group", () => {
+  const from = container(["a", "b"], { sortableGroup: "kanban", sortableEvent: "move", sortableScopeColumn: "todo" });
+  const to = container(["x"], { sortableGroup: "kanban", sortableEvent: "move_in", sortableScopeColumn: "done", sortableLabel: "Done" });
+  const source = mount(from);
+  const dest = mount(to);
+  const b = item(from, "b");
+
+  press(b, " ");
+  press(b, "ArrowDown");
+  assert.deepEqual(ids(to), ["b", "x"]);
+  assert.equal(status(), "Item b moved to Done, position 1 of 2.");
+
+  // The item now lives in the other container; its listener carries on.
+  press(b, "ArrowDown");
+  assert.deepEqual(ids(to), ["x", "b"]);
+  press(b, " ");
+
+  assert.deepEqual(dest.pushed, []);
+  assert.deepEqual(source.pushed, [{
+    event: "move_in",
+    payload: { ordered_ids: ["x", "b"], moved_id: "b", moved_ids: ["b"], column: "done", fromColumn: "todo" },
+  }]);
+});
+
+test("data-sortable-keyboard=false opts out", () => {
+  const c = container(["a", "b"], { sortableKeyboard: "false" });
+  mount(c);
+  const a = item(c, "a");
+  assert.equal(a.getAttribute("tabindex"), null);
+  assert.equal(press(a, " ").defaultPrevented, false);
+});
+
+test("picking up a checked item carries the whole selection", () => {
+  const c = container(["a*", "b", "c*", "d", "e*"], {});
+  const { pushed } = mount(c);
+  const c3 = item(c, "c");
+
+  press(c3, " ");
+  assert.equal(status(), "Picked up 3 items. Position 2 of 3.");
+  assert.ok(item(c, "a").classes.has("pk-sortable-multi-hidden"));
+
+  press(c3, "ArrowDown");
+  press(c3, " ");
+  assert.deepEqual(ids(c), ["b", "d", "a", "c", "e"]);
+  assert.ok(!item(c, "a").classes.has("pk-sortable-multi-hidden"));
+  assert.deepEqual(pushed[0].payload.moved_ids, ["a", "c", "e"]);
+  assert.deepEqual(pushed[0].payload.ordered_ids, ["b", "d", "a", "c", "e"]);
+});
+
+test("an unchecked item moves alone even when others are checked", () => {
+  const c = container(["a*", "b", "c*"], {});
+  const { pushed } = mount(c);
+  const b = item(c, "b");
+  press(b, " ");
+  press(b, "ArrowUp");
+  press(b, " ");
+  assert.deepEqual(ids(c), ["b", "a", "c"]);
+  assert.deepEqual(pushed[0].payload.moved_ids, ["b"]);
+});
+
+test("a pointer drag of a checked item moves the selection across containers", () => {
+  const from = container(["a*", "b", "c*"], { sortableGroup: "g2", sortableScopeList: "1" });
+  const to = container(["x", "y"], { sortableGroup: "g2", sortableScopeList: "2" });
+  const { hook, pushed } = mount(from);
+  hook.initSortable();
+
+  const a = item(from, "a");
+  sortableOpts.onStart({ item: a, from });
+  assert.ok(item(from, "c").classes.has("pk-sortable-multi-hidden"));
+
+  // SortableJS moved the dragged node itself.
+  to.insertBefore(a, item(to, "y"));
+  sortableOpts.onEnd({ item: a, from, to, oldIndex: 0, newIndex: 1 });
+
+  assert.deepEqual(ids(from), ["b"]);
+  assert.deepEqual(ids(to), ["x", "a", "c", "y"]);
+  assert.deepEqual(pushed, [{
+    event: "reorder_items",
+    payload: { ordered_ids: ["x", "a", "c", "y"], moved_id: "a", moved_ids: ["a", "c"], list: "2", fromList: "1" },
+  }]);
+});
+
+test("a selection dropped where it started stays put and sends nothing", () => {
+  const c = container(["a*", "b", "c*"], {});
+  const { hook, pushed } = mount(c);
+  hook.initSortable();
+  const a = item(c, "a");
+  sortableOpts.onStart({ item: a, from: c });
+  sortableOpts.onEnd({ item: a, from: c, to: c, oldIndex: 0, newIndex: 0 });
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+  assert.ok(!item(c, "c").classes.has("pk-sortable-multi-hidden"));
+  assert.deepEqual(pushed, []);
+});
+
+test("an error flash for the moved item restores the order before the drop", () => {
+  const c = container(["a", "b", "c"], {});
+  const { pushed, handlers } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  press(a, "ArrowDown");
+  press(a, " ");
+  assert.deepEqual(ids(c), ["b", "a", "c"]);
+  pushed[0].reply({});
+
+  handlers["sortable:flash"]({ uuid: "a", status: "error" });
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+});
+
+test("an ok flash settles the move; a later error leaves it alone", () => {
+  const c = container(["a", "b", "c"], {});
+  const { handlers } = mount(c);
+  const c3 = item(c, "c");
+  press(c3, " ");
+  press(c3, "ArrowUp");
+  press(c3, " ");
+  handlers["sortable:flash"]({ uuid: "c", status: "ok" });
+  handlers["sortable:flash"]({ uuid: "c", status: "error" });
+  assert.deepEqual(ids(c), ["a", "c", "b"]);
+});
+
+test("a rejected cross-container multi-move puts every node back", () => {
+  const from = container(["a*", "b", "c*"], { sortableGroup: "g3" });
+  const to = container(["x"], { sortableGroup: "g3" });
+  const { hook, handlers } = mount(from);
+  hook.initSortable();
+  const a = item(from, "a");
+  sortableOpts.onStart({ item: a, from });
+  to.appendChild(a);
+  sortableOpts.onEnd({ item: a, from, to, oldIndex: 0, newIndex: 1 });
+  assert.deepEqual(ids(to), ["x", "a", "c"]);
+
+  handlers["sortable:flash"]({ uuid: "c", status: "error" });
+  assert.deepEqual(ids(from), ["a", "b", "c"]);
+  assert.deepEqual(ids(to), ["x"]);
+});
+
+test("no reply within the ack timeout restores the order", async () => {
+  const c = container(["a", "b"], { sortableAckTimeout: "5" });
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  const warn = console.warn;
+  console.warn = noop;
+  try {
+    press(a, " ");
+    press(a, "ArrowDown");
+    press(a, " ");
+    assert.equal(pushed.length, 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(ids(c), ["a", "b"]);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("a reply within the ack timeout keeps the new order", async () => {
+  const c = container(["a", "b"], { sortableAckTimeout: "5" });
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  press(a, "ArrowDown");
+  press(a, " ");
+  pushed[0].reply({});
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(ids(c), ["b", "a"]);
+});
+
+test("nested: a held row moves with its subtree and takes a valid depth", () => {
+  const c = tree([["a", 0], ["a1", 1], ["b", 0], ["b1", 1]]);
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  assert.ok(item(c, "a1").classes.has("pk-sortable-multi-hidden"));
+  // Past b, the next row is b's child: a can only go in as its sibling.
+  press(a, "ArrowDown");
+  press(a, " ");
+
+  assert.deepEqual(depths(c), ["b:0", "a:1", "a1:2", "b1:1"]);
+  assert.equal(item(c, "a").children[0].style.paddingLeft, "calc(1 * 1.5rem)");
+  assert.deepEqual(pushed[0].payload, {
+    ordered_ids: ["b", "a", "a1", "b1"], moved_id: "a", moved_ids: ["a"], parent_id: "b", position: 0,
+  });
+});
+
+test("nested: Tab / Shift+Tab change the held row's level within bounds", () => {
+  const c = tree([["a", 0], ["b", 0], ["c", 0]]);
+  const { pushed } = mount(c);
+  const cc = item(c, "c");
+  press(cc, " ");
+  const e = press(cc, "Tab");
+  assert.ok(e.defaultPrevented);
+  assert.equal(status(), "Item c, level 2.");
+  press(cc, "Tab"); // no deeper than b + 1
+  assert.equal(cc.dataset.depth, "1");
+  press(cc, "Tab", true);
+  assert.equal(cc.dataset.depth, "0");
+  press(cc, "Tab");
+  press(cc, " ");
+  assert.deepEqual(pushed[0].payload, {
+    ordered_ids: ["a", "b", "c"], moved_id: "c", moved_ids: ["c"], parent_id: "b", position: 0,
+  });
+});
+
+test("nested: max-depth counts the subtree and Escape restores depths", () => {
+  const c = tree([["a", 0], ["b", 0], ["b1", 1]], { sortableMaxDepth: "1" });
+  const { pushed } = mount(c);
+  const b = item(c, "b");
+  press(b, " ");
+  press(b, "Tab"); // b1 would land at depth 2
+  assert.equal(b.dataset.depth, "0");
+  press(b, "ArrowUp");
+  assert.deepEqual(depths(c), ["b:0", "a:0", "b1:1"]);
+  press(b, "Escape");
+  assert.deepEqual(depths(c), ["a:0", "b:0", "b1:1"]);
+  assert.deepEqual(pushed, []);
+});
+
+test("nested: a pointer drag nests by horizontal travel", () => {
+  const c = tree([["a", 0], ["b", 0], ["c", 0]]);
+  const { hook, pushed } = mount(c);
+  hook.initSortable();
+  const b = item(c, "b");
+  sortableOpts.onChoose({ item: b, originalEvent: { clientX: 100 } });
+  sortableOpts.onStart({ item: b, from: c });
+  sortableOpts.onEnd({ item: b, from: c, to: c, oldIndex: 1, newIndex: 1, originalEvent: { clientX: 150 } });
+
+  assert.deepEqual(depths(c), ["a:0", "b:1", "c:0"]);
+  assert.deepEqual(pushed[0].payload, {
+    ordered_ids: ["a", "b", "c"], moved_id: "b", moved_ids: ["b"], parent_id: "a", position: 0,
+  });
+});
+
+test("nested: a drop with no valid depth puts the rows back and sends nothing", () => {
+  const c = tree([["a", 0], ["a1", 1], ["b", 0]], { sortableMaxDepth: "0" });
+  const { hook, pushed } = mount(c);
+  hook.initSortable();
+  const b = item(c, "b");
+  sortableOpts.onChoose({ item: b, originalEvent: { clientX: 100 } });
+  sortableOpts.onStart({ item: b, from: c });
+  c.insertBefore(b, item(c, "a1"));
+  sortableOpts.onEnd({ item: b, from: c, to: c, oldIndex: 2, newIndex: 1, originalEvent: { clientX: 100 } });
+
+  assert.deepEqual(depths(c), ["a:0", "a1:1", "b:0"]);
+  assert.deepEqual(pushed, []);
+});
+
+test("nested: a rejected move restores order and depths", () => {
+  const c = tree([["a", 0], ["b", 0]]);
+  const { handlers } = mount(c);
+  const b = item(c, "b");
+  press(b, " ");
+  press(b, "Tab");
+  press(b, " ");
+  handlers["sortable:flash"]({ uuid: "b", status: "error" });
+  assert.deepEqual(depths(c), ["a:0", "b:0"]);
+  assert.equal(b.children[0].style.paddingLeft, "");
+});
+
+test("delta payload: neighbours instead of the full order", () => {
+  const c = container(["a", "b", "c"], { sortablePayload: "delta" });
+  const { pushed } = mount(c);
+  const a = item(c, "a");
+  press(a, " ");
+  press(a, "ArrowDown");
+  press(a, " ");
+  assert.deepEqual(pushed[0].payload, { before_id: "b", after_id: "c", moved_id: "a", moved_ids: ["a"] });
+});
+
+test("delta payload: a rank between the neighbours', taken by the row at once", () => {
+  const c = container(["a", "b", "c"], { sortablePayload: "delta" });
+  ["a", "b", "c"].forEach((id, i) => (item(c, id).dataset.rank = String(i + 1)));
+  const { pushed, handlers } = mount(c);
+  const cc = item(c, "c");
+  press(cc, " ");
+  press(cc, "ArrowUp");
+  press(cc, "ArrowUp");
+  press(cc, " ");
+  assert.deepEqual(pushed[0].payload, { before_id: null, after_id: "a", rank: 0, moved_id: "c", moved_ids: ["c"] });
+  assert.equal(cc.dataset.rank, "0");
+
+  handlers["sortable:flash"]({ uuid: "c", status: "error" });
+  assert.equal(cc.dataset.rank, "3");
+});
+
+test("delta payload: a multi-item move ranks each row, in order", () => {
+  const from = container(["a*", "b", "c*"], { sortablePayload: "delta" });
+  ["a", "b", "c"].forEach((id, i) => (item(from, id).dataset.rank = String(i + 1)));
+  const { hook, pushed } = mount(from);
+  hook.initSortable();
+  const a = item(from, "a");
+  sortableOpts.onStart({ item: a, from });
+  from.appendChild(a);
+  sortableOpts.onEnd({ item: a, from, to: from, oldIndex: 0, newIndex: 1 });
+
+  assert.deepEqual(ids(from), ["b", "a", "c"]);
+  assert.deepEqual(pushed[0].payload, {
+    before_id: "b", after_id: null, rank: 3, ranks: { a: 3, c: 4 },
+    moved_id: "a", moved_ids: ["a", "c"],
+  });
+});
+
+test("auto-scroll follows data-sortable-scroll-speed", () => {
+  mount(container(["a"], { sortableScrollSpeed: "25" })).hook.initSortable();
+  assert.equal(sortableOpts.scroll, true);
+  assert.equal(sortableOpts.scrollSpeed, 25);
+  mount(container(["a"], { sortableScroll: "false" })).hook.initSortable();
+  assert.equal(sortableOpts.scroll, false);
+  assert.equal(sortableOpts.scrollSpeed, 10);
+});
+
+test("a drag dropped on a page link puts the row back and pushes move_to_page", () => {
+  const c = container(["a*", "b", "c*"], { sortableScopeList: "7" });
+  c.id = "rows";
+  const bar = body.appendChild(new El({ dataset: { sortablePages: "rows" } }));
+  const current = bar.appendChild(new El({ dataset: { sortablePage: "1" } }));
+  current.setAttribute("aria-current", "page");
+  current.rect = { left: 0, right: 20, top: 500, bottom: 520 };
+  const next = bar.appendChild(new El({ dataset: { sortablePage: "2" } }));
+  next.rect = { left: 30, right: 50, top: 500, bottom: 520 };
+
+  const { hook, pushed } = mount(c);
+  hook.initSortable();
+  const a = item(c, "a");
+  sortableOpts.onStart({ item: a, from: c });
+  c.appendChild(a);
+  sortableOpts.onEnd({ item: a, from: c, to: c, oldIndex: 0, newIndex: 1, originalEvent: { clientX: 40, clientY: 510 } });
+
+  assert.deepEqual(ids(c), ["a", "b", "c"]);
+  assert.ok(!item(c, "c").classes.has("pk-sortable-multi-hidden"));
+  assert.ok(!next.classes.has("pk-sortable-page-target"));
+  assert.deepEqual(pushed, [{ event: "move_to_page", payload: { list: "7", page: 2, moved_id: "a", moved_ids: ["a", "c"] } }]);
+
+  // The current page is no target: an ordinary reorder.
+  sortableOpts.onStart({ item: a, from: c });
+  c.appendChild(a);
+  sortableOpts.onEnd({ item: a, from: c, to: c, oldIndex: 0, newIndex: 1, originalEvent: { clientX: 10, clientY: 510 } });
+  assert.equal(pushed[1].event, "reorder_items");
+});
+
+// --- native engine ----------------------------------------------------------
+
+function pointer(type, props) {
+  const e = Object.assign({ type, pointerId: 1, pointerType: "mouse", button: 0, isPrimary: true, clientX: 50 }, props);
+  e.preventDefault = () => (e.defaultPrevented = true);
+  return e;
+}
+
+function fire(type, props) {
+  const e = pointer(type, props);
+  (docListeners[type] || []).slice().forEach((fn) => fn(e));
+  return e;
+}
+
+function pointerDown(el, props) {
+  el.parentElement.listeners.pointerdown.forEach((fn) => fn(pointer("pointerdown", Object.assign({ target: el }, props))));
+}
+
+function nativeList(ids, dataset) {
+  const c = container(ids, Object.assign({ sortableEngine: "native" }, dataset));
+  c.rect = { left: 0, right: 100, top: 0, bottom: ids.length * 40, width: 100, height: ids.length * 40 };
+  return c;
+}
+
+test("insertionIndex: list rows split at half height, grid cells at half width", () => {
+  const row = (top) => ({ left: 0, right: 100, top, bottom: top + 40, width: 100, height: 40 });
+  assert.equal(insertionIndex([row(0), row(40)], 90, 10, 1), 0);
+  assert.equal(insertionIndex([row(0), row(40)], 90, 30, 1), 1);
+  assert.equal(insertionIndex([row(0), row(40)], 10, 70, 1), 2);
+
+  const cell = (left, top) => ({ left, right: left + 50, top, bottom: top + 50, width: 50, height: 50 });
+  const grid = [cell(0, 0), cell(50, 0), cell(0, 50)];
+  assert.equal(insertionIndex(grid, 60, 40, 2), 1);
+  assert.equal(insertionIndex(grid, 90, 40, 2), 2);
+  assert.equal(insertionIndex(grid, 30, 60, 2), 3);
+});
+
+test("native engine: a mouse drag past the threshold reorders with no library", () => {
+  const c = nativeList(["a", "b", "c"]);
+  const created = sortableOpts;
+  const { pushed } = mount(c);
+  assert.equal(sortableOpts, created);
+
+  const a = item(c, "a");
+  pointerDown(a, { clientY: 20 });
+  assert.ok(a.classes.has("sortable-chosen"));
+  fire("pointermove", { clientY: 22 });
+  assert.ok(!a.classes.has("sortable-ghost"));
+
+  fire("pointermove", { clientY: 110 });
+  assert.ok(a.classes.has("sortable-ghost"));
+  assert.ok(body.children.some((e) => e.classes.has("sortable-fallback")));
+  assert.deepEqual(ids(c), ["b", "c", "a"]);
+
+  fire("pointerup", { clientY: 110 });
+  assert.ok(!a.classes.has("sortable-ghost") && !a.classes.has("sortable-chosen"));
+  assert.ok(!body.children.some((e) => e.classes.has("sortable-fallback")));
+  assert.deepEqual(pushed[0].payload, { ordered_ids: ["b", "c", "a"], moved_id: "a", moved_ids: ["a"] });
+});
+
+test("native engine: only the handle starts a drag when one is set", () => {
+  const c = nativeList(["a", "b"], { sortableHandle: ".pk-drag-handle" });
+  const handle = item(c, "b").appendChild(new El({ class: "pk-drag-handle" }));
+  mount(c);
+  pointerDown(item(c, "a"), { clientY: 10 });
+  assert.ok(!item(c, "a").classes.has("sortable-chosen"));
+
+  c.listeners.pointerdown.forEach((fn) => fn(pointer("pointerdown", { target: handle, clientY: 50 })));
+  assert.ok(item(c, "b").classes.has("sortable-chosen"));
+  fire("pointerup", { clientY: 50 });
+});
+
+test("native engine: touch needs a long press; moving first is a scroll", async () => {
+  global.window.PhoenixKit.configure({ sortable: { longPressMs: 5 } });
+  try {
+    const c = nativeList(["a", "b", "c"]);
+    const { pushed } = mount(c);
+    const a = item(c, "a");
+
+    pointerDown(a, { pointerType: "touch", clientY: 20 });
+    fire("pointermove", { clientY: 60 });
+    assert.ok(!a.classes.has("sortable-chosen"));
+    await new Promise((resolve) => setTimeout(resolve, 15));
+    assert.ok(!a.classes.has("sortable-ghost"));
+
+    pointerDown(a, { pointerType: "touch", clientY: 20 });
+    await new Promise((resolve) => setTimeout(resolve, 15));
+    assert.ok(a.classes.has("sortable-ghost"));
+    fire("pointermove", { clientY: 70 });
+    fire("pointerup", { clientY: 70 });
+    assert.deepEqual(pushed[0].payload.ordered_ids, ["b", "a", "c"]);
+  } finally {
+    global.window.PhoenixKit.configure({ sortable: { longPressMs: 250 } });
+  }
+});
@@ -0,0 +1,257 @@
+"use strict";
+
+// Unit tests for the client storage layer (window.PhoenixKit.storage) in
+// priv/static/assets/phoenix_kit.js. The bundle is browser code (IIFEs that
+// assign onto `window`), so stub the globals it touches at load time.
+//
+// Run: mix test.js  (node --test needs the explicit file on Node 25)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The bundle does real work at load: injects a <style>, registers page-loading
+// listeners, reads storage. Stub just enough of a browser for it to load; no
+// DOM-touching hook method is invoked by these tests.
+const noop = () => {};
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+    setAttribute: noop,
+    getAttribute: () => null,
+    removeAttribute: noop,
+    appendChild: noop,
+    remove: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+const documentListeners = {};
+
+global.document = {
+  documentElement: stubElement(),
+  head: stubElement(),
+  body: stubElement(),
+  createElement: stubElement,
+  createTextNode: () => ({}),
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener: (type, fn) => (documentListeners[type] = documentListeners[type] || []).push(fn),
+  removeEventListener: noop,
+  readyState: "complete",
+};
+
+// A working Storage over a Map; `quota` caps the entry count to simulate
+// QuotaExceededError.
+function mapStorage(quota) {
+  const data = new Map();
+  return {
+    data,
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => {
+      if (quota && !data.has(k) && data.size >= quota) throw new Error("QuotaExceededError");
+      data.set(k, String(v));
+    },
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+// Storage a sandboxed iframe hands out: every access throws.
+const brokenStorage = {
+  length: 0,
+  key: () => null,
+  getItem: () => { throw new Error("SecurityError"); },
+  setItem: () => { throw new Error("SecurityError"); },
+  removeItem: () => { throw new Error("SecurityError"); },
+};
+
+const local = mapStorage(12);
+// Left behind by the previous page: another user's state, the namespace
+// that page ran under, a pre-namespace value, and an expired entry.
+local.setItem("pk:u.prev:table-view", JSON.stringify({ v: "cards" }));
+local.setItem("pk:g:storage-namespace", JSON.stringify({ v: "prev" }));
+local.setItem("legacy-view", "dense");
+local.setItem("legacy-json", JSON.stringify(["a", "b"]));
+local.setItem("pk:u.u1:stale", JSON.stringify({ v: 1, e: 1 }));
+
+const windowListeners = {};
+
+global.window = {
+  PhoenixKitHooks: {},
+  addEventListener: (type, fn) => (windowListeners[type] = windowListeners[type] || []).push(fn),
+  removeEventListener: noop,
+  matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+  localStorage: local,
+  sessionStorage: brokenStorage,
+  location: { href: "http://localhost/", reload: noop },
+  navigator: { userAgent: "node" },
+  document: global.document,
+  setTimeout,
+  clearTimeout,
+};
+
+global.localStorage = local;
+global.sessionStorage = brokenStorage;
+// `globalThis.navigator` is getter-only on modern Node, so leave it be — the
+// bundle reads `window.navigator`, which is stubbed above.
+
+// What phoenix_kit_globals renders for a signed-in user.
+global.window.PhoenixKit = {};
+global.window.PhoenixKit.configure = function (c) {
+  (global.window.PhoenixKit.__configQueue = global.window.PhoenixKit.__configQueue || []).push(c);
+};
+global.window.PhoenixKit.configure({ storage: { namespace: "u1" } });
+
+const originalDebug = console.debug;
+console.debug = noop;
+require("../../priv/static/assets/phoenix_kit.js");
+console.debug = originalDebug;
+const storage = global.window.PhoenixKit.storage;
+
+function fireStorage(key, newValue) {
+  (windowListeners.storage || []).forEach((fn) => fn({ key, newValue }));
+}
+
+test("a namespace change clears the previous user's keys at load", () => {
+  assert.equal(local.getItem("pk:u.prev:table-view"), null);
+  assert.equal(storage.get("storage-namespace", { scope: "global" }), "u1");
+});
+
+test("keys are namespaced per user, or shared with scope: global", () => {
+  storage.set("view", "comfy");
+  storage.set("device", true, { scope: "global" });
+  assert.equal(local.getItem("pk:u.u1:view"), JSON.stringify({ v: "comfy" }));
+  assert.equal(local.getItem("pk:g:device"), JSON.stringify({ v: true }));
+  assert.equal(storage.get("view"), "comfy");
+  assert.equal(storage.get("view", { scope: "global" }), undefined);
+});
+
+test("values round-trip as JSON and missing keys return the fallback", () => {
+  storage.set("stacks", ["x", "y"]);
+  assert.deepEqual(storage.get("stacks"), ["x", "y"]);
+  assert.equal(storage.get("missing", { fallback: 7 }), 7);
+  storage.remove("stacks");
+  assert.equal(storage.get("stacks"), undefined);
+});
+
+test("expired entries read as missing and are dropped", () => {
+  assert.equal(storage.get("stale", { fallback: "gone" }), "gone");
+  assert.equal(local.getItem("pk:u.u1:stale"), null);
+
+  storage.set("fresh", 1, { ttl: 60000 });
+  assert.equal(storage.get("fresh"), 1);
+  assert.ok(JSON.parse(local.getItem("pk:u.u1:fresh")).e > Date.now());
+  storage.remove("fresh");
+});
+
+test("a legacy key is migrated on first read", () => {
+  assert.equal(storage.get("legacy-view", { legacyKey: "legacy-view" }), "dense");
+  assert.equal(local.getItem("legacy-view"), null);
+  assert.equal(storage.get("legacy-view"), "dense");
+
+  assert.deepEqual(storage.get("lj", { legacyKey: "legacy-json" }), ["a", "b"]);
+  assert.equal(local.getItem("legacy-json"), null);
+});
+
+test("an unavailable area falls back to memory", () => {
+  assert.equal(storage.set("scroll", 120, { area: "session" }), false);
+  assert.equal(storage.get("scroll", { area: "session" }), 120);
+  assert.equal(storage.area("session").memory, true);
+});
+
+test("a full area evicts expired entries, then keeps the value in memory", () => {
+  storage.set("doomed", 1, { ttl: 60000 });
+  local.data.set("pk:u.u1:doomed", JSON.stringify({ v: 1, e: 1 }));
+  const filler = [];
+  while (local.data.size < 12) {
+    filler.push("fill" + filler.length);
+    local.setItem(filler[filler.length - 1], "1");
+  }
+
+  assert.equal(storage.set("fits", "yes"), true, "expired entry evicted to make room");
+  assert.equal(local.getItem("pk:u.u1:doomed"), null);
+
+  console.debug = noop;
+  assert.equal(storage.set("overflow", "mem"), false);
+  console.debug = originalDebug;
+  assert.equal(storage.get("overflow"), "mem");
+  filler.forEach((k) => local.removeItem(k));
+});
+
+test("onChange fires for writes from other tabs until unsubscribed", () => {
+  const seen = [];
+  const off = storage.onChange("view", (value) => seen.push(value));
+  fireStorage("pk:u.u1:view", JSON.stringify({ v: "cards" }));
+  fireStorage("pk:u.u1:other", JSON.stringify({ v: "nope" }));
+  fireStorage("pk:u.u1:view", null);
+  off();
+  fireStorage("pk:u.u1:view", JSON.stringify({ v: "dense" }));
+  assert.deepEqual(seen, ["cards", undefined]);
+});
+
+test("clearUser drops only the current user's keys", () => {
+  storage.set("mine", 1);
+  storage.set("shared", 1, { scope: "global" });
+  storage.set("tab", 1, { area: "session" });
+  storage.clearUser();
+  assert.equal(storage.get("mine"), undefined);
+  assert.equal(storage.get("tab", { area: "session" }), undefined);
+  assert.equal(storage.get("shared", { scope: "global" }), 1);
+});
+
+// A later page load over the same localStorage: what phoenix_kit_globals
+// rendered for it (if anything), and the cookies the previous response left.
+function loadPage(config, cookie) {
+  const bundle = require.resolve("../../priv/static/assets/phoenix_kit.js");
+  delete require.cache[bundle];
+  global.window.PhoenixKitInitialized = false;
+  global.window.PhoenixKit = {};
+  global.window.PhoenixKit.configure = function (c) {
+    (global.window.PhoenixKit.__configQueue = global.window.PhoenixKit.__configQueue || []).push(c);
+  };
+  if (config) global.window.PhoenixKit.configure(config);
+  global.document.cookie = cookie || "";
+  console.debug = noop;
+  require(bundle);
+  console.debug = originalDebug;
+  return global.window.PhoenixKit.storage;
+}
+
+test("a page without a namespace leaves the signed-in user's keys alone", () => {
+  loadPage({ storage: { namespace: "u1" } }).set("table-view", "cards");
+
+  // A host layout, or globals rendered without a scope.
+  const host = loadPage(null);
+  assert.equal(host.get("storage-namespace", { scope: "global" }), "u1");
+
+  const back = loadPage({ storage: { namespace: "u1" } });
+  assert.equal(back.get("table-view"), "cards");
+
+  loadPage({ storage: { namespace: "u2" } });
+  assert.equal(local.getItem("pk:u.u1:table-view"), null);
+});
+
+test("the log-out response's cookie clears that user's keys on the next page", () => {
+  loadPage({ storage: { namespace: "u3" } }).set("table-view", "cards");
+
+  loadPage(null, "theme=dark; phoenix_kit_clear_storage=u3");
+
+  assert.equal(local.getItem("pk:u.u3:table-view"), null);
+  assert.match(global.document.cookie, /^phoenix_kit_clear_storage=; Max-Age=0/);
+});
+
+test("clearUser on a page without a namespace clears the last user's keys", () => {
+  loadPage({ storage: { namespace: "u4" } }).set("table-view", "cards");
+
+  loadPage(null).clearUser();
+
+  assert.equal(local.getItem("pk:u.u4:table-view"), null);
+});
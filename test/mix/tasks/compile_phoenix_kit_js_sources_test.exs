@@ -28,6 +28,15 @@ defmodule Mix.Tasks.Compile.PhoenixKitJsSourcesTest do
       assert js =~ "window.PHOENIX_KIT_CONSENT_AVAILABLE="
     end
 
+    test "the preamble hands the same facts to PhoenixKit.configure" do
+      js = Compiler.build_content([])
+
+      # Stub first: queues the call if this file ever runs before the bundle.
+      assert js =~ "window.PhoenixKit.configure=window.PhoenixKit.configure||"
+      assert js =~
+               ~r/window\.PhoenixKit\.configure\(\{prefix:"[^"]*",consent:\{available:(true|false)\}\}\);/
+    end
+
     test "the preamble is also present alongside module bundles" do
       dir = tmp_dir!()
       file = Path.join(dir, "p.js")